@@ -0,0 +1,770 @@
+var _ = require('underscore'),
+    _string = require('underscore.string'),
+    commander = require('commander'),
+    fs = require('fs'),
+    path = require('path'),
+    readline = require('readline'),
+    Table = require('cli-table'),
+    DigitalOceanProvisioner = require('./digital-ocean-provisioner'),
+    errors = require('./errors'),
+    reconcilePlan = require('./plan');
+
+_.mixin(_string.exports());
+
+/**
+ * Power commands offered by the CLI, and the DigitalOcean API commands they map to.
+ */
+var POWER_ACTIONS = {
+    'reboot': 'dropletReboot',
+    'power-cycle': 'dropletPowerCycle',
+    'shutdown': 'dropletShutdown',
+    'power-off': 'dropletPowerOff',
+    'power-on': 'dropletPowerOn'
+};
+
+/**
+ * Options shared by the commands that work across many droplets (see `lib/rollout.js`).
+ */
+var ROLLOUT_OPTIONS = [
+    {
+        'flags': '--concurrency <n>',
+        'description': 'Handle at most n droplets at once',
+        'parse': Number
+    },
+    {
+        'flags': '--batch-size <n>',
+        'description': 'Handle droplets in batches of n, finishing each batch before starting the next',
+        'parse': Number
+    },
+    {
+        'flags': '--pause <seconds>',
+        'description': 'Wait between batches',
+        'parse': Number
+    },
+    {
+        'flags': '--max-failures <n>',
+        'description': 'Stop starting droplets once n have failed',
+        'parse': Number
+    },
+    {
+        'flags': '--rolling',
+        'description': 'One droplet at a time, stopping at the first failure (unless --batch-size or --max-failures say otherwise)'
+    }
+];
+
+/**
+ * Options for commands that provision droplets, and so produce a run report.
+ */
+var RUN_OPTIONS = [
+    {
+        'flags': '--run-id <id>',
+        'description': 'Name the provisioning run, instead of generating an ID'
+    },
+    {
+        'flags': '--report <file>',
+        'description': 'Write the run report (JSON) to a file, whether or not the run succeeds'
+    }
+];
+
+/**
+ * Writes the report of a provisioning run to the file given with `--report`, if any.
+ */
+var writeReport = function(cmd, report) {
+    if (cmd.report && report) {
+        fs.writeFileSync(cmd.report, JSON.stringify(report, null, 4));
+    }
+};
+
+/**
+ * Reads the `ROLLOUT_OPTIONS` given to a command.
+ */
+var rolloutOptions = function(cmd) {
+    return {
+        'concurrency': cmd.concurrency,
+        'batch_size': cmd.batchSize,
+        'pause': cmd.pause,
+        'max_failures': cmd.maxFailures,
+        'rolling': !!cmd.rolling
+    };
+};
+
+/**
+ * Collects the values of a CLI option that may be given more than once.
+ */
+var collect = function(value, memo) {
+    memo.push(value);
+    return memo;
+};
+
+/**
+ * Parses `name=value` pairs given on the command line into an object.
+ *
+ * @param {Array} assignments
+ * @param {String} what - Describes the pairs in error messages.
+ * @returns {Object}
+ */
+var parseAssignments = function(assignments, what) {
+    var result = {};
+    _.each(assignments, function(assignment) {
+        var idx = assignment.indexOf('=');
+        if (idx <= 0) {
+            throw new errors.ValidationError('Invalid ' + what + ' `' + assignment + '`, expected name=value');
+        }
+        result[assignment.slice(0, idx)] = assignment.slice(idx + 1);
+    });
+    return result;
+};
+
+/**
+ * Calls one of the DigitalOcean API commands that the provisioner inherits from its provider.
+ */
+var callApi = function(motorboat, method, args, cb) {
+    if (!motorboat.api || !_.isFunction(motorboat[method])) {
+        return cb(new errors.ValidationError('`' + method + '` requires a provider with a DigitalOcean API client'));
+    }
+    motorboat[method].apply(motorboat, args.concat([cb]));
+};
+
+/**
+ * Prints rows as a table, showing booleans as Yes or No and missing values as N/A.
+ */
+var printTable = function(head, rows) {
+    var table = new Table({
+        'head': head
+    });
+    _.each(rows, function(row) {
+        table.push(_.map(row, function(v) {
+            if (v === false) {
+                return 'No';
+            } else if (v === true) {
+                return 'Yes';
+            } else if (_.isUndefined(v) || v === null || v === '') {
+                return 'N/A';
+            }
+            return String(v);
+        }));
+    });
+    console.log(table.toString());
+};
+
+/**
+ * Prints `output` events, prefixed with the droplet's name so that output from droplets provisioned in
+ * parallel can be told apart.
+ */
+var printOutput = function(payload) {
+    var line = _.sprintf('[%s] %s', payload.name || payload.instance_id, payload.line);
+    if (payload.stream === 'stderr') {
+        return console.error(line);
+    }
+    console.log(line);
+};
+
+/**
+ * Asks a yes/no question on the terminal.
+ */
+var confirm = function(question, cb) {
+    var rl = readline.createInterface({
+        'input': process.stdin,
+        'output': process.stdout
+    });
+    rl.question(question, function(answer) {
+        rl.close();
+        cb(['y', 'yes'].indexOf(_.trim(answer).toLowerCase()) >= 0);
+    });
+};
+
+/**
+ * Runs the `motorboat` command line tool. The provisioner is only created once a command has been
+ * parsed, from the configuration layers described in `lib/config.js`.
+ *
+ * @param {Array} argv - e.g. `process.argv`.
+ */
+var run = function(argv) {
+    var program = new commander.Command(),
+        pkg = JSON.parse(fs.readFileSync(__dirname + '/../package.json', 'utf8')),
+        motorboat = null;
+    /**
+     * Prints an error and exits. A failed script's stderr is printed too, unless it was already streamed.
+     */
+    var fail = function(err) {
+        err = errors.from(err);
+        console.error(_.sprintf('Error (%s): %s', err.code, err.message));
+        if (err instanceof errors.ScriptError && err.stderr && !program.stream) {
+            console.error(_.trim(err.stderr));
+        }
+        process.exit(1);
+    };
+    var commands = [
+        {
+            'value': 'list-droplets',
+            'description': 'List active droplets',
+            'action': function() {
+                motorboat.listDroplets(function(err, droplets) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    printTable(['ID', 'Name', 'Image ID', 'Size ID', 'Region ID', 'Backups Active', 'Public IP', 'Private IP', 'Locked', 'Status', 'Created At'], _.map(droplets, function(droplet) {
+                        return [droplet.id, droplet.name, droplet.image_id, droplet.size_id, droplet.region_id, droplet.backups_active, droplet.ip_address, droplet.private_ip_address, droplet.locked, droplet.status, droplet.created_at];
+                    }));
+                });
+            }
+        },
+        {
+            'value': 'destroy-droplet <id>',
+            'description': 'Destroy droplet with specified ID',
+            'action': function(id) {
+                motorboat.destroyDroplet(id, function(err) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    console.log('Destroyed droplet ' + id);
+                });
+            }
+        },
+        {
+            'value': 'destroy-except <droplets>',
+            'description': 'Destroy every droplet except those listed (comma-separated IDs or names)',
+            'options': [
+                {
+                    'flags': '--auto-approve',
+                    'description': 'Destroy the droplets without asking for confirmation'
+                }
+            ],
+            'action': function(refs, cmd) {
+                motorboat.findDroplets(refs.split(','), function(err, keep) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    motorboat.provider.list(function(err, droplets) {
+                        if (err) {
+                            return fail(err);
+                        }
+                        var keep_ids = _.map(_.pluck(keep, 'id'), String),
+                            doomed = _.reject(droplets, function(droplet) {
+                                return keep_ids.indexOf(String(droplet.id)) >= 0;
+                            });
+                        if (_.isEmpty(doomed)) {
+                            return console.log('No droplets to destroy.');
+                        }
+                        _.each(doomed, function(droplet) {
+                            console.log(_.sprintf('- %s (%s)', droplet.name, droplet.id));
+                        });
+                        var destroy = function() {
+                            motorboat.dropletDestroyExcept(_.pluck(keep, 'id'), function(err) {
+                                if (err) {
+                                    return fail(err);
+                                }
+                                console.log(_.sprintf('Destroyed %d droplet(s)', doomed.length));
+                            });
+                        };
+                        if (cmd.autoApprove) {
+                            return destroy();
+                        }
+                        confirm('Destroy these droplets? (yes/no) ', function(confirmed) {
+                            if (!confirmed) {
+                                return console.log('No droplets were destroyed.');
+                            }
+                            destroy();
+                        });
+                    });
+                });
+            }
+        },
+        {
+            'value': 'provision <name>',
+            'description': 'Provision a single droplet',
+            'options': [
+                {
+                    'flags': '--size <size>',
+                    'description': 'Size ID or name'
+                },
+                {
+                    'flags': '--image <image>',
+                    'description': 'Image ID or name'
+                },
+                {
+                    'flags': '--region <region>',
+                    'description': 'Region ID or name'
+                },
+                {
+                    'flags': '--private-networking',
+                    'description': 'Enable private networking'
+                },
+                {
+                    'flags': '--ipv6',
+                    'description': 'Enable IPv6 (API v2 only)'
+                },
+                {
+                    'flags': '--tag <tag>',
+                    'description': 'Tag the droplet (repeatable, API v2 only)',
+                    'parse': collect,
+                    'default': []
+                },
+                {
+                    'flags': '--user-data <file>',
+                    'description': 'File passed to the droplet as user data (API v2 only)'
+                },
+                {
+                    'flags': '--scripts <scripts>',
+                    'description': 'Comma-separated scripts to run'
+                },
+                {
+                    'flags': '--folder <source:destination>',
+                    'description': 'Copy a local folder to the droplet (repeatable)',
+                    'parse': collect,
+                    'default': []
+                },
+                {
+                    'flags': '--var <name=value>',
+                    'description': 'Script variable (repeatable)',
+                    'parse': collect,
+                    'default': []
+                },
+                {
+                    'flags': '--env <NAME=value>',
+                    'description': 'Environment variable exported to scripts (repeatable)',
+                    'parse': collect,
+                    'default': []
+                },
+                {
+                    'flags': '--dns <domain>',
+                    'description': 'Point <name>.<domain> (and <name>.private.<domain>) at the droplet'
+                },
+                {
+                    'flags': '--bootstrap <mode>',
+                    'description': 'How scripts are run: ' + DigitalOceanProvisioner.BOOTSTRAP_MODES.join(' (default) or ') + ' (API v2 only)'
+                },
+                {
+                    'flags': '--on-failure <policy>',
+                    'description': 'What to do with the droplet if provisioning fails: ' + DigitalOceanProvisioner.FAILURE_POLICIES.join(', ')
+                }
+            ].concat(RUN_OPTIONS),
+            'action': function(name, cmd) {
+                _.each(['size', 'image', 'region'], function(key) {
+                    if (!cmd[key]) {
+                        throw new errors.ValidationError('`--' + key + '` is required');
+                    }
+                });
+                motorboat.provision({
+                    'name': name,
+                    'size': cmd.size,
+                    'image': cmd.image,
+                    'region': cmd.region,
+                    'private_networking': !!cmd.privateNetworking,
+                    'ipv6': !!cmd.ipv6,
+                    'tags': cmd.tag,
+                    'user_data': cmd.userData ? fs.readFileSync(cmd.userData, 'utf8') : undefined,
+                    'scripts': cmd.scripts ? cmd.scripts.split(',') : [],
+                    'folders': _.map(cmd.folder, function(folder) {
+                        var idx = folder.lastIndexOf(':');
+                        if (idx <= 0) {
+                            throw new errors.ValidationError('Invalid folder `' + folder + '`, expected source:destination');
+                        }
+                        return {
+                            'source': path.resolve(folder.slice(0, idx)),
+                            'destination': folder.slice(idx + 1)
+                        };
+                    }),
+                    'vars': parseAssignments(cmd['var'], 'variable'),
+                    'env': parseAssignments(cmd.env, 'environment variable'),
+                    'on_failure': cmd.onFailure,
+                    'bootstrap': cmd.bootstrap,
+                    'dns': cmd.dns
+                }, {
+                    'run_id': cmd.runId
+                }, function(err, droplets) {
+                    writeReport(cmd, err ? err.report : droplets.report);
+                    if (err) {
+                        return fail(err);
+                    }
+                    _.each(droplets, function(droplet) {
+                        console.log(_.sprintf('Provisioned %s (%s) at %s', droplet.name, droplet.id, droplet.ip_address));
+                    });
+                });
+            }
+        },
+        {
+            'value': 'run-scripts <droplets> <scripts>',
+            'description': 'Run scripts (comma-separated) against droplets (comma-separated IDs or names)',
+            'options': [
+                {
+                    'flags': '--var <name=value>',
+                    'description': 'Script variable (repeatable)',
+                    'parse': collect,
+                    'default': []
+                },
+                {
+                    'flags': '--env <NAME=value>',
+                    'description': 'Environment variable exported to scripts (repeatable)',
+                    'parse': collect,
+                    'default': []
+                }
+            ].concat(ROLLOUT_OPTIONS),
+            'action': function(refs, scripts, cmd) {
+                var options = _.extend({
+                    'vars': parseAssignments(cmd['var'], 'variable'),
+                    'env': parseAssignments(cmd.env, 'environment variable')
+                }, rolloutOptions(cmd));
+                motorboat.findDroplets(refs.split(','), function(err, droplets) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    motorboat.executeScripts(_.pluck(droplets, 'id'), scripts.split(','), options, function(err) {
+                        if (err) {
+                            return fail(err);
+                        }
+                        console.log(_.sprintf('Ran %s on %s', scripts, _.pluck(droplets, 'name').join(', ')));
+                    });
+                });
+            }
+        },
+        {
+            'value': 'run-command <droplet> <command>',
+            'description': 'Run a shell command on a droplet (ID or name) and print its output',
+            'action': function(ref, command) {
+                motorboat.findDroplets([ref], function(err, droplets) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    motorboat.runInstanceCommand(droplets[0].id, command, function(err, output) {
+                        if (err) {
+                            return fail(err);
+                        }
+                        if (!program.stream) {
+                            process.stdout.write(output);
+                        }
+                    });
+                });
+            }
+        },
+        {
+            'value': 'copy-folder <droplet> <source> <destination>',
+            'description': 'Copy a local folder to a droplet (ID or name)',
+            'action': function(ref, source, dest) {
+                motorboat.findDroplets([ref], function(err, droplets) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    motorboat.copyFolder(droplets[0].id, path.resolve(source), dest, function(err) {
+                        if (err) {
+                            return fail(err);
+                        }
+                    });
+                });
+            }
+        },
+        {
+            'value': 'snapshot <droplet> <name>',
+            'description': 'Power off a droplet (ID or name) and snapshot it',
+            'action': function(ref, name) {
+                motorboat.findDroplets([ref], function(err, droplets) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    motorboat.snapshotDroplet(droplets[0].id, name, function(err, image) {
+                        if (err) {
+                            return fail(err);
+                        }
+                        console.log(_.sprintf('Created image %s (%s)', image.name, image.id));
+                    });
+                });
+            }
+        },
+        {
+            'value': 'list-regions',
+            'description': 'List available regions',
+            'action': function() {
+                callApi(motorboat, 'regionGetAll', [], function(err, regions) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    printTable(['ID', 'Name', 'Slug'], _.map(regions, function(region) {
+                        return [region.id, region.name, region.slug];
+                    }));
+                });
+            }
+        },
+        {
+            'value': 'list-sizes',
+            'description': 'List available droplet sizes',
+            'action': function() {
+                callApi(motorboat, 'sizeGetAll', [], function(err, sizes) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    printTable(['ID', 'Name', 'Slug'], _.map(sizes, function(size) {
+                        return [size.id, size.name, size.slug];
+                    }));
+                });
+            }
+        },
+        {
+            'value': 'list-images',
+            'description': 'List available images',
+            'options': [
+                {
+                    'flags': '--mine',
+                    'description': 'Only list your own images (snapshots and backups)'
+                }
+            ],
+            'action': function(cmd) {
+                callApi(motorboat, cmd.mine ? 'imageGetMine' : 'imageGetAll', [], function(err, images) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    printTable(['ID', 'Name', 'Distribution', 'Slug', 'Public'], _.map(images, function(image) {
+                        return [image.id, image.name, image.distribution, image.slug, image['public']];
+                    }));
+                });
+            }
+        },
+        {
+            'value': 'list-ssh-keys',
+            'description': 'List the SSH keys in your account',
+            'action': function() {
+                callApi(motorboat, 'sshKeyGetAll', [], function(err, keys) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    printTable(['ID', 'Name'], _.map(keys, function(key) {
+                        return [key.id, key.name];
+                    }));
+                });
+            }
+        },
+        {
+            'value': 'up <manifest>',
+            'description': 'Provision every droplet described in a JSON or YAML manifest',
+            'options': [
+                {
+                    'flags': '--all-or-nothing',
+                    'description': 'Destroy every droplet in the manifest if any of them fails to provision'
+                }
+            ].concat(ROLLOUT_OPTIONS, RUN_OPTIONS),
+            'action': function(file, cmd) {
+                motorboat.provisionManifest(file, _.extend({
+                    'all_or_nothing': cmd.allOrNothing,
+                    'run_id': cmd.runId
+                }, rolloutOptions(cmd)), function(err, droplets) {
+                    writeReport(cmd, err ? err.report : droplets.report);
+                    if (err) {
+                        return fail(err);
+                    }
+                    _.each(droplets, function(droplet) {
+                        console.log(_.sprintf('Provisioned %s (%s) at %s', droplet.name, droplet.id, droplet.ip_address));
+                    });
+                });
+            }
+        },
+        {
+            'value': 'down <manifest>',
+            'description': 'Destroy the droplets created from a JSON or YAML manifest',
+            'options': [
+                {
+                    'flags': '--auto-approve',
+                    'description': 'Destroy the droplets without asking for confirmation'
+                }
+            ],
+            'action': function(file, cmd) {
+                motorboat.findManifestDroplets(file, function(err, doomed) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    if (_.isEmpty(doomed)) {
+                        return console.log('No droplets to destroy.');
+                    }
+                    _.each(doomed, function(droplet) {
+                        console.log(_.sprintf('- %s (%s)', droplet.name, droplet.id));
+                    });
+                    var destroy = function() {
+                        motorboat.destroyManifest(file, {
+                            'ids': _.pluck(doomed, 'id')
+                        }, function(err, droplets) {
+                            if (err) {
+                                return fail(err);
+                            }
+                            _.each(droplets, function(droplet) {
+                                console.log(_.sprintf('Destroyed %s (%s)', droplet.name, droplet.id));
+                            });
+                        });
+                    };
+                    if (cmd.autoApprove) {
+                        return destroy();
+                    }
+                    confirm('Destroy these droplets? (yes/no) ', function(confirmed) {
+                        if (!confirmed) {
+                            return console.log('No droplets were destroyed.');
+                        }
+                        destroy();
+                    });
+                });
+            }
+        },
+        {
+            'value': 'resume <droplet>',
+            'description': 'Resume a failed provisioning run for a droplet (ID or name) in the state journal',
+            'action': function(droplet) {
+                motorboat.resume(droplet, function(err, result) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    console.log(_.sprintf('Provisioned %s (%s) at %s', result.name, result.id, result.ip_address));
+                });
+            }
+        },
+        {
+            'value': 'bake <manifest> <droplet>',
+            'description': 'Bake an image from a droplet described in a manifest, using a temporary builder droplet',
+            'options': [
+                {
+                    'flags': '--image-name <name>',
+                    'description': 'Name of the resulting image (defaults to <droplet>-<timestamp>)'
+                }
+            ],
+            'action': function(file, name, cmd) {
+                motorboat.bakeManifest(file, name, {
+                    'image_name': cmd.imageName
+                }, function(err, image) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    console.log(_.sprintf('Baked image %s (%s)', image.name, image.id));
+                });
+            }
+        },
+        {
+            'value': 'plan <manifest>',
+            'description': 'Show the changes required to bring existing droplets in line with a manifest',
+            'options': [
+                {
+                    'flags': '--prune',
+                    'description': 'Also destroy droplets that are not named in the manifest'
+                }
+            ],
+            'action': function(file, cmd) {
+                motorboat.planManifest(file, {
+                    'prune': cmd.prune
+                }, function(err, plan) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    console.log(reconcilePlan.format(plan));
+                });
+            }
+        },
+        {
+            'value': 'apply <manifest>',
+            'description': 'Create, replace and destroy droplets so that they match a manifest',
+            'options': [
+                {
+                    'flags': '--prune',
+                    'description': 'Also destroy droplets that are not named in the manifest'
+                },
+                {
+                    'flags': '--auto-approve',
+                    'description': 'Apply the plan without asking for confirmation'
+                },
+                {
+                    'flags': '--report <file>',
+                    'description': 'Write the report (JSON) of the run that provisions new droplets to a file'
+                }
+            ],
+            'action': function(file, cmd) {
+                motorboat.planManifest(file, {
+                    'prune': cmd.prune
+                }, function(err, plan) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    console.log(reconcilePlan.format(plan));
+                    if (!reconcilePlan.hasChanges(plan)) {
+                        return;
+                    }
+                    var apply = function() {
+                        motorboat.applyPlan(plan, function(err, result) {
+                            writeReport(cmd, err ? err.report : result.report);
+                            if (err) {
+                                return fail(err);
+                            }
+                            console.log(_.sprintf('Created %d, kept %d and destroyed %d droplet(s)', result.created.length, result.kept.length, result.destroyed.length));
+                        });
+                    };
+                    if (cmd.autoApprove) {
+                        return apply();
+                    }
+                    confirm('Apply this plan? (yes/no) ', function(confirmed) {
+                        if (!confirmed) {
+                            return console.log('Plan was not applied.');
+                        }
+                        apply();
+                    });
+                });
+            }
+        }
+    ];
+    _.each(POWER_ACTIONS, function(method, action) {
+        commands.push({
+            'value': action + ' <droplet>',
+            'description': _.sprintf('Request a %s of a droplet (ID or name)', action.replace('-', ' ')),
+            'action': function(ref) {
+                motorboat.findDroplets([ref], function(err, droplets) {
+                    if (err) {
+                        return fail(err);
+                    }
+                    callApi(motorboat, method, [droplets[0].id], function(err, event_id) {
+                        if (err) {
+                            return fail(err);
+                        }
+                        console.log(_.sprintf('Requested %s of %s (event %s)', action, droplets[0].name, event_id));
+                    });
+                });
+            }
+        });
+    });
+    program.version(pkg.version);
+    program.description(pkg.description);
+    program.option('-c, --config <file>', 'Project config file (defaults to motorboat.json, if it exists)');
+    program.option('-p, --profile <name>', 'Config profile to use');
+    program.option('--ssh-key-id <id>', 'ID of the SSH key added to new droplets');
+    program.option('--public-ssh-key <path>', 'Public SSH key');
+    program.option('--private-ssh-key <path>', 'Private SSH key used to connect to droplets');
+    program.option('--scripts-path <path>', 'Folder containing provisioning scripts');
+    program.option('--transport <name>', 'shell or ssh2');
+    program.option('-s, --stream', 'Print output from remote scripts and commands as it arrives');
+    _.each(commands, function(command) {
+        var cmd = program.command(command.value).description(command.description);
+        _.each(command.options, function(option) {
+            cmd.option(option.flags, option.description, option.parse, option['default']);
+        });
+        cmd.action(function() {
+            try {
+                motorboat = DigitalOceanProvisioner.fromConfig({
+                    'file': program.config,
+                    'profile': program.profile,
+                    'overrides': {
+                        'ssh_key_id': program.sshKeyId,
+                        'public_ssh_key': program.publicSshKey && path.resolve(program.publicSshKey),
+                        'private_ssh_key': program.privateSshKey && path.resolve(program.privateSshKey),
+                        'scripts_path': program.scriptsPath && path.resolve(program.scriptsPath),
+                        'transport': program.transport
+                    }
+                });
+                if (program.stream) {
+                    motorboat.bind('output', printOutput);
+                }
+                command.action.apply(this, arguments);
+            } catch (e) {
+                // Invalid settings or options
+                fail(e);
+            }
+        });
+    });
+    program.parse(argv);
+    if (!program.args.length) {
+        program.help();
+    }
+};
+
+module.exports = {
+    'run': run
+};
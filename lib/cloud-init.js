@@ -0,0 +1,138 @@
+var _ = require('underscore'),
+    _string = require('underscore.string'),
+    scriptTemplate = require('./script-template');
+
+_.mixin(_string.exports());
+
+/**
+ * Where the bootstrap script keeps provisioning scripts, their results and its overall status on the
+ * droplet.
+ */
+var STATE_DIR = '/var/lib/motorboat';
+
+/**
+ * DigitalOcean accepts at most 64KiB of user data.
+ */
+var MAX_USER_DATA = 64 * 1024;
+
+/**
+ * Built-in script variables that aren't known until the droplet boots, and where the bootstrap script
+ * reads them from the DigitalOcean metadata service.
+ */
+var RUNTIME_VARS = {
+    'droplet_id': 'id',
+    'public_ip': 'interfaces/public/0/ipv4/address',
+    'private_ip': 'interfaces/private/0/ipv4/address',
+    'public_ipv6': 'interfaces/public/0/ipv6/address'
+};
+
+/**
+ * Returns the name a script is stored under on the droplet. Scripts are numbered so that their results
+ * can be matched up with them in order.
+ *
+ * @private
+ */
+var scriptFile = function(idx, script) {
+    return _.sprintf('%02d-%s', idx + 1, script.split('/').pop().replace(/[^A-Za-z0-9_.-]/g, '_'));
+};
+
+/**
+ * Returns placeholders for the runtime variables, which render as references to the environment
+ * variables the bootstrap script exports (e.g. `{{public_ip}}` becomes `${MOTORBOAT_PUBLIC_IP}`).
+ *
+ * @returns {Object}
+ */
+var runtimeVars = function() {
+    return _.object(_.map(_.keys(RUNTIME_VARS), function(name) {
+        return [name, '${MOTORBOAT_' + name.toUpperCase() + '}'];
+    }));
+};
+
+/**
+ * Builds the user data for a droplet: a shell script, run by cloud-init on first boot, that writes out
+ * the (already rendered) provisioning scripts and runs them in order, stopping at the first failure.
+ * Each script's combined output and exit code are kept under `STATE_DIR/results`, and `STATE_DIR/status`
+ * reads `running`, then `done` or `failed`.
+ *
+ * @param {Array} scripts - `{name, contents}` objects.
+ * @param {Object} env - Environment variables exported to the scripts.
+ * @returns {String}
+ */
+var userData = function(scripts, env) {
+    var exported = scriptTemplate.exportStatement(env),
+        lines = [
+            '#!/bin/bash',
+            '# Generated by Motorboat',
+            _.sprintf('mkdir -p %s/scripts %s/results', STATE_DIR, STATE_DIR),
+            _.sprintf('echo running > %s/status', STATE_DIR)
+        ];
+    _.each(RUNTIME_VARS, function(endpoint, name) {
+        lines.push(_.sprintf('export MOTORBOAT_%s="$(curl -sf -m 10 http://169.254.169.254/metadata/v1/%s)"', name.toUpperCase(), endpoint));
+    });
+    if (exported) {
+        lines.push(exported.replace(/; $/, ''));
+    }
+    _.each(scripts, function(script, idx) {
+        var file = STATE_DIR + '/scripts/' + scriptFile(idx, script.name);
+        lines.push(_.sprintf('echo %s | base64 -d > %s', new Buffer(script.contents).toString('base64'), file));
+        lines.push('chmod +x ' + file);
+    });
+    _.each(scripts, function(script, idx) {
+        var file = scriptFile(idx, script.name),
+            result = STATE_DIR + '/results/' + file;
+        lines.push(_.sprintf('%s/scripts/%s > %s.log 2>&1', STATE_DIR, file, result));
+        lines.push('code=$?');
+        lines.push(_.sprintf('echo $code > %s.exit', result));
+        lines.push(_.sprintf('if [ $code -ne 0 ]; then echo failed > %s/status; exit $code; fi', STATE_DIR));
+    });
+    lines.push(_.sprintf('echo done > %s/status', STATE_DIR));
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Returns the command that prints the bootstrap script's status, or nothing if it hasn't started.
+ *
+ * @returns {String}
+ */
+var statusCommand = function() {
+    return _.sprintf('cat %s/status 2>/dev/null; true', STATE_DIR);
+};
+
+/**
+ * Returns the command that prints a script's exit code on the first line, followed by its output. It
+ * prints nothing if the script didn't run.
+ *
+ * @param {Number} idx - The script's position in the list passed to `userData()`.
+ * @param {String} script
+ * @returns {String}
+ */
+var resultCommand = function(idx, script) {
+    var result = STATE_DIR + '/results/' + scriptFile(idx, script);
+    return _.sprintf('if [ -f %s.exit ]; then cat %s.exit %s.log; fi', result, result, result);
+};
+
+/**
+ * Parses the output of `resultCommand()`.
+ *
+ * @param {String} output
+ * @returns {Object|null} `{code, output}`, or null if the script didn't run.
+ */
+var parseResult = function(output) {
+    var idx = output.indexOf('\n');
+    if (!output.length) {
+        return null;
+    }
+    return {
+        'code': parseInt(idx >= 0 ? output.slice(0, idx) : output, 10),
+        'output': idx >= 0 ? output.slice(idx + 1) : ''
+    };
+};
+
+module.exports = {
+    'MAX_USER_DATA': MAX_USER_DATA,
+    'runtimeVars': runtimeVars,
+    'userData': userData,
+    'statusCommand': statusCommand,
+    'resultCommand': resultCommand,
+    'parseResult': parseResult
+};
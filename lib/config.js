@@ -0,0 +1,179 @@
+var _ = require('underscore'),
+    fs = require('fs'),
+    path = require('path'),
+    nconf = require('nconf'),
+    errors = require('./errors');
+
+/**
+ * Settings that hold paths. In config files they're resolved relative to the file.
+ */
+var PATH_SETTINGS = ['scripts_path', 'public_ssh_key', 'private_ssh_key', 'state_file', 'log_dir', 'known_hosts'];
+
+/**
+ * Environment variables starting with this prefix are read as settings, e.g. `MOTORBOAT_API_KEY`.
+ */
+var ENV_PREFIX = 'MOTORBOAT_';
+
+/**
+ * Separates the keys of a nested setting in an environment variable's name, e.g.
+ * `MOTORBOAT_TIMEOUTS__SSH` for `timeouts.ssh`.
+ */
+var ENV_SEPARATOR = '__';
+
+/**
+ * Settings that are read from the environment as strings even if they look like numbers.
+ */
+var STRING_SETTINGS = ['client_id', 'api_key', 'token', 'ssh_key_id'];
+
+/**
+ * Returns the path of the user-level config file, `~/.motorboat.json`.
+ *
+ * @private
+ */
+var userFile = function(env) {
+    var home = env.HOME || env.USERPROFILE;
+    return home ? path.join(home, '.motorboat.json') : null;
+};
+
+/**
+ * Resolves the path settings in `settings` relative to `dir`.
+ *
+ * @private
+ */
+var resolvePaths = function(settings, dir) {
+    settings = _.clone(settings);
+    _.each(PATH_SETTINGS, function(key) {
+        if (_.isString(settings[key])) {
+            settings[key] = path.resolve(dir, settings[key]);
+        }
+    });
+    return settings;
+};
+
+/**
+ * Reads a JSON config file. Files that don't exist are treated as empty unless `required` is set.
+ *
+ * @private
+ * @returns {Object} `{settings, profiles, profile}`, with paths resolved relative to the file.
+ */
+var readFile = function(file, required) {
+    var contents,
+        parsed,
+        dir;
+    if (!file || (!required && !fs.existsSync(file))) {
+        return {
+            'settings': {},
+            'profiles': {}
+        };
+    }
+    try {
+        contents = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        throw errors.wrap(e, 'Unable to read config (' + file + ')');
+    }
+    try {
+        parsed = JSON.parse(contents);
+    } catch (e) {
+        throw new errors.ValidationError('Unable to parse config (' + file + '): ' + e.message);
+    }
+    if (!_.isObject(parsed) || _.isArray(parsed)) {
+        throw new errors.ValidationError('Invalid config (' + file + '): expected an object');
+    }
+    if (!_.isUndefined(parsed.profiles) && (!_.isObject(parsed.profiles) || _.isArray(parsed.profiles))) {
+        throw new errors.ValidationError('Invalid config (' + file + '): `profiles` must be an object');
+    }
+    dir = path.dirname(file);
+    return {
+        'settings': resolvePaths(_.omit(parsed, 'profile', 'profiles'), dir),
+        'profiles': _.object(_.map(parsed.profiles || {}, function(settings, name) {
+            return [name, resolvePaths(settings, dir)];
+        })),
+        'profile': parsed.profile
+    };
+};
+
+/**
+ * Reads settings from `MOTORBOAT_*` environment variables. `true` and `false` are read as booleans, and
+ * numbers as numbers (other than the `STRING_SETTINGS`). Nested settings are named with `__` between
+ * their keys, e.g. `MOTORBOAT_RETRY__API__RETRIES=6`.
+ *
+ * @private
+ */
+var readEnv = function(env) {
+    var settings = {};
+    _.each(env, function(value, name) {
+        var keys,
+            parent;
+        if (name.indexOf(ENV_PREFIX) !== 0 || name === ENV_PREFIX + 'PROFILE') {
+            return;
+        }
+        keys = name.slice(ENV_PREFIX.length).toLowerCase().split(ENV_SEPARATOR);
+        if (value === 'true' || value === 'false') {
+            value = value === 'true';
+        } else if (/^-?\d+(\.\d+)?$/.test(value) && STRING_SETTINGS.indexOf(keys[0]) < 0) {
+            value = Number(value);
+        }
+        parent = _.reduce(_.initial(keys), function(parent, key) {
+            if (!_.isObject(parent[key])) {
+                parent[key] = {};
+            }
+            return parent[key];
+        }, settings);
+        parent[_.last(keys)] = value;
+    });
+    return settings;
+};
+
+/**
+ * Loads the settings accepted by the `DigitalOceanProvisioner` constructor from several layers. From
+ * highest to lowest precedence:
+ *
+ * 1. `overrides` (e.g. command line flags)
+ * 2. `MOTORBOAT_*` environment variables
+ * 3. the project config file (`motorboat.json` in the working directory)
+ * 4. the user config file (`~/.motorboat.json`)
+ *
+ * Config files may define named `profiles`, e.g. `{"profiles": {"staging": {...}, "production": {...}}}`.
+ * The selected profile's settings take precedence over the other settings in the same file. The profile
+ * is chosen with `options.profile`, then `MOTORBOAT_PROFILE`, then a `profile` setting in the project or
+ * user config file.
+ *
+ * @param {Object} [options] - `file`: the project config file (if given, it must exist), `user_file`,
+ * `profile`, `overrides` and `env` (defaults to `process.env`).
+ * @returns {Object}
+ */
+var load = function(options) {
+    var env,
+        project,
+        user,
+        profile,
+        provider = new nconf.Provider();
+    options = options || {};
+    env = options.env || process.env;
+    project = readFile(path.resolve(options.file || 'motorboat.json'), !!options.file);
+    user = readFile(_.isUndefined(options.user_file) ? userFile(env) : options.user_file, false);
+    profile = options.profile || env[ENV_PREFIX + 'PROFILE'] || project.profile || user.profile;
+    if (profile && !project.profiles[profile] && !user.profiles[profile]) {
+        throw new errors.ValidationError('Unknown profile `' + profile + '`');
+    }
+    _.each([
+        ['overrides', options.overrides || {}],
+        ['env', readEnv(env)],
+        ['project_profile', project.profiles[profile] || {}],
+        ['project', project.settings],
+        ['user_profile', user.profiles[profile] || {}],
+        ['user', user.settings]
+    ], function(store) {
+        provider.add(store[0], {
+            'type': 'literal',
+            'store': _.pick(store[1], _.filter(_.keys(store[1]), function(key) {
+                return !_.isUndefined(store[1][key]);
+            }))
+        });
+    });
+    return provider.get();
+};
+
+module.exports = {
+    'load': load
+};
@@ -0,0 +1,208 @@
+var _ = require('underscore'),
+    DigitalOceanAPI = require('digitalocean-api'),
+    moment = require('moment'),
+    errors = require('./errors'),
+    DigitalOceanProvider;
+
+/**
+ * Cloud provider backed by version 1 of the DigitalOcean API. See `lib/digital-ocean-v2-provider.js` for v2.
+ *
+ * Providers give the provisioner a common way to manage droplets. Every provider implements:
+ *
+ * - `create(options, cb)` - creates a droplet from `{name, size, image, region, private_networking,
+ *   ssh_key_ids}` and calls back with it straight away, before it's ready. Providers that support them
+ *   also accept `ipv6`, `tags` and `user_data`
+ * - `get(id, cb)`, `list(cb)` - look up droplets
+ * - `destroy(id, cb)`
+ * - `powerOff(id, cb)` - calls back once the droplet is off
+ * - `snapshot(id, name, cb)` - calls back with the resulting image once the snapshot has completed
+ * - `waitUntilReady(droplet, options, cb)` - calls back with the droplet once it's active. `options` has
+ *   a `timeout` in seconds, an optional `interval` in seconds between checks and an optional
+ *   `on_poll({status, percentage}, elapsed)`
+ *
+ * and may implement `waitForSsh(droplet, cb)` to replace the provisioner's own check for port 22, and
+ * `hostKeys(droplet, cb)` to supply a new droplet's host keys (`[{type, key}]`, e.g. read from its console
+ * output) rather than have them fetched the first time it's reached (see `lib/known-hosts.js`).
+ *
+ * Droplets are plain objects with at least `id`, `name`, `ip_address`, `private_ip_address`,
+ * `size_id`, `image_id`, `region_id` and `status`, and optionally `ipv6_address` and `tags`. Providers
+ * that wrap a DigitalOcean-style client expose it as `api`, whose commands the provisioner inherits (see
+ * `lib/api_commands.js`). Providers report failures as Motorboat errors (see `lib/errors.js`).
+ *
+ * @class DigitalOceanProvider
+ */
+DigitalOceanProvider = function() {
+    this.init.apply(this, arguments);
+};
+
+_.extend(DigitalOceanProvider.prototype, /** @lends DigitalOceanProvider.prototype */ {
+
+    /**
+     * @public
+     * @constructor
+     * @param {Object} options - `client_id`, `api_key`, `timeouts` (`power_off` and `snapshot`, in
+     *     seconds) and `poll_interval`.
+     */
+    'init': function(options) {
+        this._options = options;
+        this.api = errors.apiClient(new DigitalOceanAPI(options.client_id, options.api_key));
+    },
+
+    /**
+     * @public
+     */
+    'create': function(options, cb) {
+        var unsupported = _.filter(['ipv6', 'tags', 'user_data'], function(key) {
+            return !_.isEmpty(options[key]) || options[key] === true;
+        });
+        if (unsupported.length) {
+            return process.nextTick(function() {
+                cb(new errors.ValidationError('API v2 (`token`) is required for: ' + unsupported.join(', ')));
+            });
+        }
+        this.api.dropletNew(options.name, options.size, options.image, options.region, {
+            'private_networking': options.private_networking,
+            'ssh_key_ids': options.ssh_key_ids
+        }, cb);
+    },
+
+    /**
+     * @public
+     */
+    'get': function(id, cb) {
+        this.api.dropletGet(id, cb);
+    },
+
+    /**
+     * @public
+     */
+    'list': function(cb) {
+        this.api.dropletGetAll(cb);
+    },
+
+    /**
+     * @public
+     */
+    'destroy': function(id, cb) {
+        this.api.dropletDestroy(id, cb);
+    },
+
+    /**
+     * @public
+     */
+    'powerOff': function(id, cb) {
+        var self = this;
+        this.api.dropletPowerOff(id, function(err, event_id) {
+            if (err) {
+                return cb(err);
+            }
+            self._waitForEvent(event_id, {
+                'timeout': self._options.timeouts.power_off,
+                'interval': self._options.poll_interval
+            }, function(err) {
+                cb(err);
+            });
+        });
+    },
+
+    /**
+     * @public
+     */
+    'snapshot': function(id, name, cb) {
+        var self = this;
+        this.api.dropletSnapshot(id, {
+            'name': name
+        }, function(err, event_id) {
+            if (err) {
+                return cb(err);
+            }
+            self._waitForEvent(event_id, {
+                'timeout': self._options.timeouts.snapshot,
+                'interval': self._options.poll_interval
+            }, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                self.api.imageGetMine(function(err, images) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    return cb(null, _.last(_.where(images, {
+                        'name': name
+                    })) || {
+                        'id': null,
+                        'name': name
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Waits for the event returned when the droplet was created to complete.
+     *
+     * @public
+     */
+    'waitUntilReady': function(droplet, options, cb) {
+        var self = this;
+        this._waitForEvent(droplet.event_id, {
+            'timeout': options.timeout,
+            'interval': options.interval,
+            'on_poll': function(data, elapsed) {
+                if (options.on_poll) {
+                    options.on_poll({
+                        'status': data.action_status,
+                        'percentage': data.percentage
+                    }, elapsed);
+                }
+            }
+        }, function(err) {
+            if (err) {
+                return cb(err);
+            }
+            self.api.dropletGet(droplet.id, function(err, current) {
+                if (err || !current) {
+                    return cb(null, droplet);
+                }
+                return cb(null, _.extend({}, droplet, current));
+            });
+        });
+    },
+
+    /**
+     * Polls a DigitalOcean event every 8 seconds (or `options.interval`) until it's done.
+     *
+     * @private
+     * @param {Object} options - `timeout` and `interval` in seconds, and `on_poll(event, elapsed)`, called
+     * after each check.
+     */
+    '_waitForEvent': function(event_id, options, cb) {
+        var self = this,
+            start = moment().unix(),
+            interval = (options.interval || 8) * 1000;
+        var check = function() {
+            self.api.eventGet(event_id, function(err, data) {
+                var elapsed = moment().unix() - start;
+                if (err) {
+                    return cb(err);
+                }
+                if (options.on_poll) {
+                    options.on_poll(data, elapsed);
+                }
+                if (data.action_status === 'done') {
+                    return cb(null, data);
+                }
+                if (elapsed >= options.timeout) {
+                    return cb(new errors.TimeoutError('Event ' + event_id + ' exceeded timeout of: ' + options.timeout, {
+                        'timeout': options.timeout
+                    }));
+                }
+                setTimeout(check, interval);
+            });
+        };
+        setTimeout(check, interval);
+    }
+
+});
+
+module.exports = DigitalOceanProvider;
@@ -1,25 +1,110 @@
 var _ = require('underscore'),
     _string = require('underscore.string'),
-    DigitalOceanAPI = require('digitalocean-api'),
+    DigitalOceanProvider = require('./digital-ocean-provider'),
+    DigitalOceanV2Provider = require('./digital-ocean-v2-provider'),
+    FakeProvider = require('./fake-provider'),
     apiCommands = require('./api_commands'),
+    manifest = require('./manifest'),
+    config = require('./config'),
+    reconcilePlan = require('./plan'),
     fs = require('fs'),
+    os = require('os'),
     Q = require('q'),
     nconf = require('nconf'),
-    shell = require('shelljs'),
+    ShellTransport = require('./shell-transport'),
+    Ssh2Transport = require('./ssh2-transport'),
     async = require('async'),
     path = require('path'),
     tcpPortUsed = require('tcp-port-used'),
-    Table = require('cli-table'),
-    commander = require('commander'),
     glob = require('glob'),
+    shell = require('shelljs'),
     moment = require('moment'),
     MicroEvent = require('./microevent'),
+    promised = require('./promised'),
+    scriptTemplate = require('./script-template'),
+    cloudInit = require('./cloud-init'),
+    dns = require('./dns'),
+    errors = require('./errors'),
+    rollout = require('./rollout'),
+    retry = require('./retry'),
+    scriptDependencies = require('./script-dependencies'),
+    StateJournal = require('./state-journal'),
+    KnownHosts = require('./known-hosts'),
+    RunReport = require('./run-report'),
+    SlugResolver = require('./slug-resolver'),
     winston = require('winston'),
     DigitalOceanProvisioner;
 
-_.mixin(_string);
+_.mixin(_string.exports());
+
+/**
+ * Accepted values for the `on_failure` provisioning option, shared with manifest validation.
+ */
+var FAILURE_POLICIES = manifest.FAILURE_POLICIES;
+
+/**
+ * Accepted values for the `bootstrap` provisioning option (see `lib/manifest.js`).
+ */
+var BOOTSTRAP_MODES = manifest.BOOTSTRAP_MODES;
+
+/**
+ * Default timeouts, in seconds, overridden by the `timeouts` setting: for a new droplet to become active
+ * (`droplet_launch`), then to accept SSH connections (`ssh`), for scripts run by cloud-init to finish
+ * (`cloud_init`), and for a droplet to power off (`power_off`) and a snapshot of it to complete
+ * (`snapshot`).
+ */
+var DEFAULT_TIMEOUTS = {
+    'droplet_launch': 600,
+    'ssh': 240,
+    'cloud_init': 1800,
+    'power_off': 600,
+    'snapshot': 3600
+};
+
+/**
+ * Where log files are kept, relative to the working directory, unless the `log_dir` setting says
+ * otherwise: the main log, `motorboat.log`, and a folder per provisioning run (see `lib/run-report.js`).
+ */
+var DEFAULT_LOG_DIR = '.motorboat/logs';
+
+/**
+ * How long to wait, in milliseconds, after port 22 opens on a new droplet before connecting, as sshd
+ * may not be ready to authenticate straight away.
+ */
+var SSH_SETTLE_DELAY = 10000;
 
 /**
+ * Progress is reported through events (see `lib/microevent.js`), which can be subscribed to with
+ * `bind(event, fn)`. Each listener receives a single payload object:
+ *
+ * - `droplet:requested` - `{name, options}`, a droplet was requested from the API
+ * - `droplet:polled` - `{name, droplet, status, percentage, elapsed}`, the droplet's creation event was checked
+ * - `droplet:active` - `{name, droplet}`, the droplet's creation event has completed
+ * - `droplet:reachable` - `{name, droplet}`, the droplet is accepting SSH connections
+ * - `folder:copied` - `{instance_id, source, destination}`
+ * - `script:started` - `{instance_id, script}`
+ * - `script:finished` - `{instance_id, script, output}`
+ * - `script:failed` - `{instance_id, script, error}`
+ * - `provision:complete` - `{name, droplet, elapsed}`
+ * - `provision:failed` - `{name, droplet, error, elapsed}`, `droplet` is null if it was never created
+ * - `provision:rollback` - `{droplets}`, droplets destroyed because an all-or-nothing batch failed
+ * - `batch:started` - `{operation, batch, batches, targets}`, a batch of droplets is being provisioned
+ *   (`operation` is `provision`) or having scripts run against it (`scripts`), see `lib/rollout.js`
+ * - `batch:halted` - `{operation, failures, skipped}`, work was stopped because `max_failures` was reached
+ * - `dns:updated` - `{name, droplet, records}`, DNS records were created or updated (see `_updateDns()`)
+ * - `dns:removed` - `{droplet_id, records}`, a destroyed droplet's DNS records were removed
+ * - `host_key:added` - `{name, droplet, fingerprints, source}`, a new droplet's host keys were recorded
+ *   (see `_trustHostKey()`)
+ * - `host_key:removed` - `{droplet_id}`, a destroyed droplet's host keys were removed
+ * - `run:started` - `{run_id, names}`, a provisioning run has started (see `provision()`)
+ * - `run:finished` - `{run_id, report}`, a provisioning run has finished
+ * - `bake:complete` - `{name, image, elapsed}`, an image was baked (see `bake()`)
+ * - `bake:failed` - `{name, error, elapsed}`
+ * - `output` - a line of output from a remote script or command (see `_outputStream()`)
+ *
+ * Errors, whether they're passed to callbacks, used to reject promises or included in event payloads,
+ * are Motorboat errors with a `code` (see `lib/errors.js`).
+ *
  * @class DigitalOceanProvisioner
  */
 DigitalOceanProvisioner = function() {
@@ -37,143 +122,340 @@ _.extend(DigitalOceanProvisioner.prototype, /** @lends DigitalOceanProvisioner.p
         _.defaults(options, {
             'client_id': null,
             'api_key': null,
-            'scripts_path': null
+            'scripts_path': null,
+            'provider': 'digitalocean'
         });
-        if (!options.client_id) {
-            throw '`client_id` is required';
-        }
-        if (!options.api_key) {
-            throw '`api_key` is required';
+        if (options.provider === 'digitalocean') {
+            if (!options.token && !options.client_id) {
+                throw new errors.ValidationError('`token` (or `client_id` and `api_key`) is required');
+            }
+            if (!options.token && !options.api_key) {
+                throw new errors.ValidationError('`api_key` is required');
+            }
+            if (!options.ssh_key_id) {
+                throw new errors.ValidationError('`ssh_key_id` is required');
+            }
         }
         if (!options.scripts_path) {
-            throw '`scripts_path` is required';
+            throw new errors.ValidationError('`scripts_path` is required');
         }
         if (!options.public_ssh_key) {
-            throw '`public_ssk_key` is required';
+            throw new errors.ValidationError('`public_ssk_key` is required');
         }
         if (!options.private_ssh_key) {
-            throw '`private_ssh_key` is required';
-        }
-        if (!options.ssh_key_id) {
-            throw '`ssh_key_id` is required';
+            throw new errors.ValidationError('`private_ssh_key` is required');
         }
         if (_.isUndefined(options.enable_logging) || !_.isBoolean(options.enable_logging)) {
             options.enable_logging = true;
         }
+        if (!options.transport) {
+            options.transport = 'shell';
+        }
+        if (!_.isUndefined(options.retry) && !_.isEmpty(retry.validate(options.retry))) {
+            throw new errors.ValidationError(retry.validate(options.retry).join(', '));
+        }
+        options.timeouts = _.defaults({}, options.timeouts, DEFAULT_TIMEOUTS);
+        this._retry = retry.policies(options.retry);
         options.scripts_path = path.resolve(options.scripts_path);
+        if (options.known_hosts !== false) {
+            options.known_hosts = path.resolve(options.known_hosts || KnownHosts.DEFAULT_FILE);
+        }
         this._options = options;
         this._initLogger();
-        this._loadPackage();
         this._initApi();
+        this._initTransport();
+        this._initJournal();
         this._initScripts();
-        this._initCommand();
     },
 
     /**
+     * Sets up logging. Entries go to the `logger` option, if given: any object with a winston-style
+     * `log(level, message, meta)` method. Otherwise they go to `motorboat.log` in `log_dir`, through a
+     * logger of our own that leaves winston's default logger alone, and that's only created (along with
+     * `log_dir`) once there's something to log. `log_dir: false` disables log files, and
+     * `enable_logging: false` disables them along with run reports' files and the `logger` option.
+     *
      * @private
      */
     '_initLogger': function() {
-        this._logFile = '/tmp/' + 'skiff-' + moment().format('MM-DD-YYYY') + '.log';
-        winston.add(winston.transports.File, {
-            'filename': this._logFile,
-            'silent': false
+        var log_dir = this._options.log_dir;
+        this._logDir = log_dir === false || !this._options.enable_logging ? null : path.resolve(log_dir || DEFAULT_LOG_DIR);
+        this._logFile = this._logDir ? path.join(this._logDir, 'motorboat.log') : null;
+        this._logger = this._options.logger || null;
+    },
+
+    /**
+     * @private
+     */
+    '_getLogger': function() {
+        if (!this._logger && this._logFile) {
+            shell.mkdir('-p', this._logDir);
+            this._logger = new winston.Logger({
+                'transports': [
+                    new winston.transports.File({
+                        'filename': this._logFile
+                    })
+                ]
+            });
+        }
+        return this._logger;
+    },
+
+    /**
+     * Sets up the cloud provider. The `digitalocean` provider uses API v2 when a `token` is configured,
+     * falling back to API v1 (`client_id` and `api_key`) otherwise.
+     *
+     * @private
+     */
+    '_initApi': function() {
+        var self = this,
+            provider = this._options.provider;
+        if (_.isObject(provider)) {
+            this.provider = provider;
+        } else if (provider === 'digitalocean' && this._options.token) {
+            this.provider = new DigitalOceanV2Provider(this._options);
+        } else if (provider === 'digitalocean') {
+            this.provider = new DigitalOceanProvider(this._options);
+        } else if (provider === 'fake') {
+            this.provider = new FakeProvider(this._options.fake_provider);
+        } else {
+            throw new errors.ValidationError('Unknown `provider`: ' + provider);
+        }
+        this.api = this.provider.api || null;
+        if (this.api) {
+            retry.wrapClient(this.api, this._retry.api, function(command, err, attempt, wait) {
+                self._log('warn', 'Retrying API call', {
+                    'command': command,
+                    'error': err,
+                    'retry': attempt,
+                    'delay': wait
+                });
+            });
+        }
+        this._slugs = this.api ? new SlugResolver(this.api) : null;
+        this._inheritApiCommands();
+    },
+
+    /**
+     * Sets up the transport used to copy files to and run commands on droplets. The `transport` option may
+     * be `shell` (the local ssh, scp and rsync binaries), `ssh2` (native SSH and SFTP) or an object that
+     * implements the same `upload`, `exec` and `copyFolder` methods, and optionally `scanHostKeys`.
+     *
+     * Both built-in transports verify host keys against the known_hosts file (see `lib/known-hosts.js`),
+     * which is `.motorboat/known_hosts` in the working directory unless the `known_hosts` option says
+     * otherwise. `known_hosts: false` turns host key checking off.
+     *
+     * @private
+     */
+    '_initTransport': function() {
+        var transport = this._options.transport;
+        this._knownHosts = this._options.known_hosts ? new KnownHosts(this._options.known_hosts) : null;
+        if (_.isObject(transport)) {
+            this.transport = transport;
+        } else if (transport === 'shell') {
+            this.transport = new ShellTransport(this._options);
+        } else if (transport === 'ssh2') {
+            this.transport = new Ssh2Transport(this._options);
+        } else {
+            throw new errors.ValidationError('Unknown `transport`: ' + transport);
+        }
+    },
+
+    /**
+     * Sets up the state journal (see `lib/state-journal.js`), which is kept up to date by listening to
+     * lifecycle events. It's written to `.motorboat/state.json` in the working directory unless the
+     * `state_file` option says otherwise; `state_file: false` disables it. Problems writing it are logged
+     * rather than thrown, as they'd otherwise surface in the middle of a run.
+     *
+     * @private
+     */
+    '_initJournal': function() {
+        var self = this,
+            journal;
+        if (this._options.state_file === false) {
+            return;
+        }
+        journal = this._journal = new StateJournal(this._options.state_file || '.motorboat/state.json', function(err) {
+            self._log('error', 'Unable to update the state journal', {
+                'error': err
+            });
+        });
+        this.bind('droplet:reachable', function(payload) {
+            journal.update(payload.droplet.id, {
+                'status': 'provisioning'
+            });
+        });
+        this.bind('folder:copied', function(payload) {
+            journal.completeFolder(payload.instance_id, payload.source, payload.destination);
+        });
+        this.bind('script:finished', function(payload) {
+            journal.completeScript(payload.instance_id, payload.script);
+        });
+        this.bind('provision:complete', function(payload) {
+            journal.update(payload.droplet.id, {
+                'status': 'complete',
+                'error': null
+            });
+        });
+        this.bind('provision:failed', function(payload) {
+            if (!payload.droplet) {
+                return;
+            }
+            journal.update(payload.droplet.id, {
+                'status': 'failed',
+                'error': String(payload.error)
+            });
         });
-        winston.remove(winston.transports.Console);
     },
 
     /**
+     * Returns the transport target for a droplet (or host, see `_getInstance()`). Droplets are reached as
+     * `root` using the `private_ssh_key` setting; hosts may override `user`, `private_key` and `port`.
+     *
      * @private
      */
-    '_loadPackage': function() {
-        var contents = fs.readFileSync(__dirname + '/../package.json', 'utf8');
-        this._package = JSON.parse(contents);
+    '_getTarget': function(instance) {
+        return _.defaults({}, instance.target, {
+            'host': instance.ip_address,
+            'user': 'root',
+            'private_key': this._options.private_ssh_key
+        });
     },
 
     /**
+     * Looks up the droplet an operation should run against. `instance` is either a droplet ID or a host
+     * that wasn't created by Motorboat, described as `{host, user, private_key, port, name, private_ip}`
+     * (only `host` is required). Hosts are returned as droplet-like objects, so that scripts can use the
+     * same built-in variables against both.
+     *
      * @private
      */
-    '_initCommand': function() {
+    '_getInstance': function(instance, cb) {
         var self = this;
-        var commands = [
-            {
-                'value': 'list-droplets',
-                'description': 'List active droplets',
-                'action': function() {
-                    self.listDroplets();
-                }
-            },
-            {
-                'value': 'destroy-droplet <id>',
-                'description': 'Destroy droplet with specified ID',
-                'action': function(id) {
-                    self.api.dropletDestroy(id, function(err, result) {
-                        if (err) {
-                            throw err;
-                        }
-                        self._log('info', 'Destroyed droplet', result);
-                    });
-                }
+        if (_.isObject(instance)) {
+            if (!instance.host) {
+                return process.nextTick(function() {
+                    cb(new errors.ValidationError('Hosts must have a `host` address'));
+                });
+            }
+            return process.nextTick(function() {
+                cb(null, self._hostInstance(instance));
+            });
+        }
+        this.provider.get(instance, function(err, droplet) {
+            if (err) {
+                return cb(err);
+            }
+            if (!droplet) {
+                return cb(new errors.NotFoundError('Unable to locate instance_id: ' + instance, {
+                    'instance_id': instance
+                }));
             }
-        ];
-        commander.version(this._package.version);
-        commander.description(this._package.description);
-        _.each(commands, function(command) {
-            commander.command(command.value).description(command.description).action(command.action);
+            cb(null, droplet);
         });
-        commander.parse(process.argv);
     },
 
     /**
+     * Describes a host as a droplet. Its `id` and `name` default to its address.
+     *
      * @private
      */
-    '_initApi': function() {
-        this.api = new DigitalOceanAPI(this._options.client_id, this._options.api_key);
-        this._inheritApiCommands();
+    '_hostInstance': function(host) {
+        return {
+            'id': host.name || host.host,
+            'name': host.name || host.host,
+            'ip_address': host.host,
+            'private_ip_address': host.private_ip || null,
+            'target': _.pick(host, 'host', 'user', 'private_key', 'port')
+        };
     },
 
     /**
+     * Returns the ID used to identify a droplet or host in logs and events.
+     *
+     * @private
+     */
+    '_instanceId': function(instance) {
+        return _.isObject(instance) ? this._hostInstance(instance).id : instance;
+    },
+
+    /**
+     * Exposes the provider's DigitalOcean API commands (if it has any) on the provisioner. They report
+     * failures as `ApiError`s.
+     *
      * @private
      */
     '_inheritApiCommands': function() {
+        if (!this.api) {
+            return;
+        }
         _.each(apiCommands, function(cmd) {
-            this[cmd] = this.api[cmd].bind(this.api);
+            if (_.isFunction(this.api[cmd])) {
+                this[cmd] = promised(errors.typed(this.api[cmd].bind(this.api), errors.ApiError));
+            }
         }, this);
     },
 
     /**
+     * Lists the provisioning scripts in `scripts_path`. This happens in the background, so a problem with
+     * `scripts_path` is kept and reported (and logged) by the next operation that runs scripts (see
+     * `_resolveScripts()`). Nothing is logged from here, as logging may create `log_dir`, which the
+     * constructor mustn't do.
+     *
      * @private
      */
     '_initScripts': function() {
         var self = this;
         this._scripts = [];
+        this._scriptsError = null;
+        var fail = function(err) {
+            self._scriptsError = err;
+        };
         fs.stat(this._options.scripts_path, function(err, stats) {
             if (err) {
-                throw err;
+                return fail(errors.wrap(errors.from(err, errors.ValidationError), 'Unable to load provisioning scripts from path (' + self._options.scripts_path + ')'));
             }
             if (!stats.isDirectory()) {
-                throw this._options.scripts_path + ' is not a directory.';
+                return fail(new errors.ValidationError(self._options.scripts_path + ' is not a directory.'));
             }
             glob(self._options.scripts_path + '/*', function(err, scripts) {
                 if (err) {
-                    throw 'Error loading provisioning scripts';
+                    return fail(errors.wrap(err, 'Error loading provisioning scripts'));
                 }
                 self._scripts = scripts;
-                var base_names = [];
-                _.each(scripts, function(script) {
-                    base_names.push(path.basename(script));
-                });
-                self._log('info', 'Loaded provisioning scripts from path (' + self._options.scripts_path + '): ' + base_names.join(', '));
             });
         });
     },
 
     /**
+     * Runs a series of scripts against one or more droplets. Scripts run in order on each droplet, and
+     * droplets are handled in parallel. Scripts required by others (see `lib/script-dependencies.js`)
+     * are added ahead of them, and each script runs at most once.
+     *
      * @public
+     * @param {Number|Object|Array} instance_id - One or more droplet IDs or hosts (see `_getInstance()`).
+     * @param {Array} scripts - Script names (relative to `scripts_path`) or full paths.
+     * @param {Object} [options] - `vars` and `env` (see `executeInstanceScript()`), `peers`: the IDs or
+     * names of droplets, or hosts, whose IPs are exposed to the scripts as `peer_ips` (defaults to
+     * `instance_id`), and `skip`: scripts that shouldn't be run even if they're requested or required.
+     * `concurrency`, `batch_size`, `pause`, `max_failures` and `rolling` limit how many droplets scripts
+     * run against at once (see `lib/rollout.js`).
      */
-    'executeScripts': function(instance_id, scripts, final_cb) {
+    'executeScripts': function(instance_id, scripts, options, final_cb) {
         var instances,
-            all_tasks = [],
+            invalid,
             self = this;
+        if (_.isFunction(options)) {
+            final_cb = options;
+            options = {};
+        }
+        options = _.defaults({}, options, {
+            'concurrency': this._options.concurrency
+        });
+        invalid = rollout.validate(options);
+        if (!_.isEmpty(invalid)) {
+            return final_cb(new errors.ValidationError(invalid.join(', ')));
+        }
         this._log('info', 'Executing provisioning scripts', {
             'instance_id': instance_id,
             'scripts': scripts
@@ -183,19 +465,70 @@ _.extend(DigitalOceanProvisioner.prototype, /** @lends DigitalOceanProvisioner.p
         } else {
             instances = instance_id;
         }
-        var promises = [];
-        self.api.dropletGetAll(function(err, droplets) {
+        var requested = scripts;
+        self._resolveScripts(requested, function(err, scripts) {
+            if (err) {
+                return final_cb(err);
+            }
+            if (!_.isEmpty(options.skip)) {
+                scripts = _.difference(scripts, options.skip);
+            }
+            if (!_.isEqual(scripts, requested)) {
+                self._log('info', 'Resolved script dependencies', {
+                    'requested': requested,
+                    'skip': options.skip,
+                    'scripts': scripts
+                });
+            }
+            self._executeResolvedScripts(instances, scripts, options, final_cb);
+        });
+    },
+
+    /**
+     * @private
+     */
+    '_executeResolvedScripts': function(instances, scripts, options, final_cb) {
+        var all_tasks = [],
+            self = this;
+        self._getPeers(options.peers || instances, function(err, peers) {
             if (err) {
-                throw err;
+                return final_cb(err);
             }
-            _.each(instances, function(instance_id, instance_idx) {
+            _.each(instances, function(instance) {
+                var instance_id = self._instanceId(instance);
                 self._log('info', 'Executing scripts against instance_id ' + instance_id, {
                     'scripts': scripts
                 });
+                var script_options = {
+                    'vars': options.vars,
+                    'env': options.env,
+                    'peers': _.reject(peers, function(peer) {
+                        return String(peer.id) === String(instance_id);
+                    })
+                };
                 var tasks = [];
                 _.each(scripts, function(script) {
                     tasks.push(function(cb) {
-                        self.executeInstanceScript(instance_id, script, cb);
+                        self.trigger('script:started', {
+                            'instance_id': instance_id,
+                            'script': script
+                        });
+                        self.executeInstanceScript(instance, script, script_options, function(err, output) {
+                            if (err) {
+                                self.trigger('script:failed', {
+                                    'instance_id': instance_id,
+                                    'script': script,
+                                    'error': err
+                                });
+                                return cb(err);
+                            }
+                            self.trigger('script:finished', {
+                                'instance_id': instance_id,
+                                'script': script,
+                                'output': output
+                            });
+                            cb(null, output);
+                        });
                     });
                 });
                 all_tasks.push(function(cb) {
@@ -204,34 +537,71 @@ _.extend(DigitalOceanProvisioner.prototype, /** @lends DigitalOceanProvisioner.p
                     });
                 });
             });
-            async.parallel(all_tasks, function(err, result) {
-                final_cb(err, result);
+            self._rollout('scripts', all_tasks, _.map(instances, self._instanceId, self), options, function(summary) {
+                final_cb(summary.error, summary.results);
+            });
+        });
+    },
+
+    /**
+     * Looks up the droplets and hosts that make up a list of peers. Droplets are only listed if the
+     * list refers to any.
+     *
+     * @private
+     * @param {Array} peers - Droplet IDs or names, and hosts.
+     */
+    '_getPeers': function(peers, cb) {
+        var self = this,
+            hosts = _.map(_.filter(peers, _.isObject), function(host) {
+                return self._hostInstance(host);
+            }),
+            ids = _.map(_.reject(peers, _.isObject), String);
+        if (_.isEmpty(ids)) {
+            return process.nextTick(function() {
+                cb(null, hosts);
             });
+        }
+        this.provider.list(function(err, droplets) {
+            if (err) {
+                return cb(err);
+            }
+            cb(null, _.filter(droplets, function(droplet) {
+                return ids.indexOf(String(droplet.id)) >= 0 || ids.indexOf(droplet.name) >= 0;
+            }).concat(hosts));
         });
     },
 
     /**
-     * Copies a local folder to the remote destination on the specified droplet.
+     * Copies a local folder to the remote destination on the specified droplet or host (see
+     * `_getInstance()`).
      *
      * @public
      */
     'copyFolder': function(instance_id, source, dest, cb) {
         var self = this;
-        this.api.dropletGet(instance_id, function(err, instance) {
+        this._getInstance(instance_id, function(err, instance) {
             if (err) {
                 return cb(err);
             }
             if (dest.slice(-1) !== '/') {
                 dest = dest + '/';
             }
-            var rsync_cmd = _.sprintf("rsync -avz --delete -e 'ssh -i %s -o StrictHostKeyChecking=no -o GSSAPIAuthentication=no' %s root@%s:%s", self._options.private_ssh_key, source, instance.ip_address, dest);
-            shell.exec(rsync_cmd, {
-                'async': true,
-                'silent': false
-            }, function(code, output) {
-                if (code !== 0) {
-                    return cb(_.sprintf('Error running rsync (%s): %s', code, rsync_cmd));
+            self._withRetry('copy_folder', {
+                'instance_id': instance.id,
+                'source': source
+            }, function(attempt_cb) {
+                return self.transport.copyFolder(self._getTarget(instance), source, dest, {
+                    'silent': false
+                }, attempt_cb);
+            }, function(err, output) {
+                if (err) {
+                    return cb(err);
                 }
+                self.trigger('folder:copied', {
+                    'instance_id': self._instanceId(instance_id),
+                    'source': source,
+                    'destination': dest
+                });
                 return cb(null, output);
             });
         });
@@ -239,42 +609,68 @@ _.extend(DigitalOceanProvisioner.prototype, /** @lends DigitalOceanProvisioner.p
 
     'syncFolders': function(instance_id, source, dest, cb) {
         var self = this;
-        this.api.dropletGet(instance_id, function(err, instance) {
+        this._getInstance(instance_id, function(err, instance) {
             if (err) {
                 return cb(err);
             }
             if (dest.slice(-1) !== '/') {
                 dest = dest + '/';
             }
-            var rsync_cmd = _.sprintf("rsync -avz --delete -e 'ssh -i %s -o StrictHostKeyChecking=no -o GSSAPIAuthentication=no' %s root@%s:%s", self._options.private_ssh_key, source, instance.ip_address, dest);
-            shell.exec(rsync_cmd, {
-                'async': true,
-                'silent': true
-            }, function(code, output) {
-                if (code !== 0) {
-                    return cb('Error running rsync: ' + rsync_cmd);
-                }
-                return cb(null, output);
-            });
+            self._withRetry('copy_folder', {
+                'instance_id': instance.id,
+                'source': source
+            }, function(attempt_cb) {
+                return self.transport.copyFolder(self._getTarget(instance), source, dest, {
+                    'silent': true
+                }, attempt_cb);
+            }, cb);
         });
     },
 
     /**
+     * Copies a script to a droplet (or host, see `_getInstance()`) and runs it there. Output is streamed
+     * line-by-line as `output` events (see `_outputStream()`).
+     *
+     * `{{name}}` placeholders in the script are replaced with `options.vars` and the built-in variables
+     * described by `_getScriptVars()`. `options.env` is exported into the remote shell before the script
+     * runs, along with the built-in variables prefixed with `MOTORBOAT_` (e.g. `MOTORBOAT_PUBLIC_IP`).
+     *
      * @public
+     * @param {Object} [options] - `vars`, `env` and `peers` (a list of droplet objects).
      */
-    'executeInstanceScript': function(instance_id, script, cb) {
+    'executeInstanceScript': function(instance_id, script, options, cb) {
         var self = this;
-        this._log('info', 'Executing `' + script + '` script against instance_id: ' + instance_id);
-        var droplet = this.api.dropletGet(instance_id, function(err, instance) {
+        if (_.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+        options = options || {};
+        var invalid = scriptTemplate.invalidEnv(options.env || {});
+        if (!_.isEmpty(invalid)) {
+            return cb(new errors.ValidationError('Invalid environment variable names: ' + invalid.join(', ')));
+        }
+        this._log('info', 'Executing `' + script + '` script against instance_id: ' + this._instanceId(instance_id));
+        this._getInstance(instance_id, function(err, instance) {
             if (err) {
                 return cb(err);
             }
+            var builtins = self._getScriptVars(instance, options.peers || []),
+                vars = _.extend({}, builtins, options.vars),
+                env = {};
+            _.each(builtins, function(value, name) {
+                env['MOTORBOAT_' + name.toUpperCase()] = value;
+            });
+            _.extend(env, options.env);
             var tasks = [
                 function(cb2) {
-                    self._copyInstanceScript(instance.ip_address, script, cb2);
+                    self._copyInstanceScript(self._getTarget(instance), script, vars, cb2);
                 },
                 function(result, cb3) {
-                    self._executeExistingInstanceScript(result.ip_address, result.target_path, cb3);
+                    self._executeExistingInstanceScript(result.target, result.target_path, env, {
+                        'instance_id': instance.id,
+                        'name': instance.name,
+                        'script': script
+                    }, cb3);
                 }
             ];
             async.waterfall(tasks, function(err, results) {
@@ -286,6 +682,85 @@ _.extend(DigitalOceanProvisioner.prototype, /** @lends DigitalOceanProvisioner.p
         });
     },
 
+    /**
+     * Returns the built-in variables that describe the droplet a script is being run against.
+     *
+     * @private
+     */
+    '_getScriptVars': function(droplet, peers) {
+        return {
+            'droplet_id': droplet.id,
+            'droplet_name': droplet.name,
+            'hostname': droplet.name,
+            'public_ip': droplet.ip_address,
+            'private_ip': droplet.private_ip_address,
+            'public_ipv6': droplet.ipv6_address || null,
+            'region': droplet.region_id,
+            'size': droplet.size_id,
+            'image': droplet.image_id,
+            'peer_ips': _.compact(_.pluck(peers, 'ip_address')),
+            'peer_private_ips': _.compact(_.pluck(peers, 'private_ip_address'))
+        };
+    },
+
+    /**
+     * Renders `vars` into a script. Calls back with the path of the file to upload and whether that file
+     * is a temporary copy which should be removed once it has been uploaded.
+     *
+     * @private
+     */
+    '_renderScript': function(source_path, vars, cb) {
+        fs.readFile(source_path, 'utf8', function(err, contents) {
+            if (err) {
+                return cb(errors.wrap(err, 'Unable to read script (' + source_path + ')'));
+            }
+            var rendered = scriptTemplate.render(contents, vars);
+            if (rendered === contents) {
+                return cb(null, source_path, false);
+            }
+            var tmp_path = path.join(os.tmpdir(), _.sprintf('motorboat-%s-%s-%s', path.basename(source_path), process.pid, _.uniqueId()));
+            fs.writeFile(tmp_path, rendered, {
+                'mode': parseInt('700', 8)
+            }, function(err) {
+                if (err) {
+                    return cb(errors.wrap(err, 'Unable to write rendered script (' + tmp_path + ')'));
+                }
+                return cb(null, tmp_path, true);
+            });
+        });
+    },
+
+    /**
+     * Expands a list of scripts to include their dependencies, in the order they should run.
+     *
+     * @private
+     */
+    '_resolveScripts': function(scripts, cb) {
+        var self = this;
+        if (this._scriptsError && !_.isEmpty(scripts)) {
+            this._log('error', 'Unable to load provisioning scripts', {
+                'scripts_path': this._options.scripts_path,
+                'error': this._scriptsError
+            });
+            return process.nextTick(function() {
+                cb(self._scriptsError);
+            });
+        }
+        scriptDependencies.resolve(scripts, function(script, done) {
+            fs.readFile(self._getScriptPath(script), 'utf8', done);
+        }, function(err, resolved) {
+            if (err) {
+                if (!_.isEmpty(self._scripts)) {
+                    err.message += '. Available scripts: ' + _.map(self._scripts, function(script) {
+                        return path.basename(script);
+                    }).join(', ');
+                }
+                return cb(err);
+            }
+            return cb(null, resolved);
+        });
+    },
+
     /**
      * @private
      */
@@ -300,10 +775,9 @@ _.extend(DigitalOceanProvisioner.prototype, /** @lends DigitalOceanProvisioner.p
     /**
      * @private
      */
-    '_copyInstanceScript': function(ip_address, script, cb) {
+    '_copyInstanceScript': function(target, script, vars, cb) {
         var self = this,
-            basename,
-            attempts = 0;
+            basename;
         if (script.indexOf(path.sep) >= 0) {
             // A full path was specified for `script`
             basename = path.basename(script);
@@ -312,219 +786,1471 @@ _.extend(DigitalOceanProvisioner.prototype, /** @lends DigitalOceanProvisioner.p
             basename = script;
         }
         var target_path = _.sprintf('/tmp/%s_%s', basename, moment().unix());
-        var copy_cmd = _.sprintf('scp -i %s -o StrictHostKeyChecking=no -o GSSAPIAuthentication=no -q %s root@%s:%s', this._options.private_ssh_key, this._getScriptPath(script), ip_address, target_path);
-        this._log('info', 'Copy script `' + script + '` to ip_address: ' + ip_address, {
-            'cmd': copy_cmd
-        });
-        var kopy = function() {
-            attempts++;
-            shell.exec(copy_cmd, {
-                'async': true,
-                'silent': true
-            }, function(code, output) {
-                if (code !== 0) {
-                    if (attempts > 10) {
-                        self._log('error', 'Error copying provisioning script to target host', {
-                            'ip_address': ip_address,
-                            'script': script,
-                            'cmd': copy_cmd,
-                            'exit_code': code
-                        });
-                        return cb('scp returned with error code: ' + code);
-                    } else {
-                        setTimeout(function() {
-                            kopy();
-                        }, 120000);
-                    }
+        this._renderScript(this._getScriptPath(script), vars || {}, function(err, source_path, is_temporary) {
+            if (err) {
+                return cb(err);
+            }
+            var done = function() {
+                var args = arguments;
+                if (!is_temporary) {
+                    return cb.apply(null, args);
                 }
-                self._log('info', 'Copy of script `' + script + '` to ip_address ' + ip_address + ' succeeded', {
-                    'cmd': copy_cmd
+                fs.unlink(source_path, function() {
+                    cb.apply(null, args);
                 });
-                return cb(null, {
-                    'ip_address': ip_address,
+            };
+            self._log('info', 'Copy script `' + script + '` to ip_address: ' + target.host, {
+                'source_path': source_path,
+                'target_path': target_path
+            });
+            self._withRetry('upload', {
+                'ip_address': target.host,
+                'script': script
+            }, function(attempt_cb) {
+                return self.transport.upload(target, source_path, target_path, attempt_cb);
+            }, function(err) {
+                if (err) {
+                    self._log('error', 'Error copying provisioning script to target host', {
+                        'ip_address': target.host,
+                        'script': script,
+                        'error': err
+                    });
+                    return done(err);
+                }
+                self._log('info', 'Copy of script `' + script + '` to ip_address ' + target.host + ' succeeded', {
+                    'target_path': target_path
+                });
+                return done(null, {
+                    'target': target,
                     'target_path': target_path
                 });
             });
-        };
-        kopy();
+        });
+    },
+
+    /**
+     * Runs a transport operation, `fn(cb)`, with the retry policy for `operation` (see `lib/retry.js`),
+     * logging each retry along with `details`. `fn` returns the transport's handle, so that an attempt that
+     * times out can be aborted. `cb` is called exactly once, and a final failure is
+     * reported as a `TransferError` (or a `TimeoutError`) carrying `details`.
+     *
+     * @private
+     */
+    '_withRetry': function(operation, details, fn, cb) {
+        var self = this;
+        retry.attempt(this._retry[operation], fn, function(err, attempt, wait) {
+            self._log('warn', 'Retrying ' + operation, _.extend({
+                'error': err,
+                'retry': attempt,
+                'delay': wait
+            }, details));
+        }, function(err) {
+            if (err) {
+                return cb(errors.from(err, errors.TransferError, details));
+            }
+            cb.apply(null, arguments);
+        });
     },
 
     /**
      * @private
      */
-    '_executeExistingInstanceScript': function(ip_address, script_path, cb) {
-        var script_cmd = _.sprintf('ssh root@%s -i %s -o StrictHostKeyChecking=no -o GSSAPIAuthentication=no -q "chmod +x %s; %s"', ip_address, this._options.private_ssh_key, script_path, script_path),
+    '_executeExistingInstanceScript': function(target, script_path, env, details, cb) {
+        var script_cmd = _.sprintf('chmod +x %s; %s%s', script_path, scriptTemplate.exportStatement(env), script_path),
+            output = this._outputStream(details),
             self = this;
-        self._log('info', 'Executing script `' + script_path + '` against ip_address: ' + ip_address);
-        shell.exec(script_cmd, {
-            'async': true,
-            'silent': true
-        }, function(code, output) {
-            if (code !== 0) {
+        self._log('info', 'Executing script `' + script_path + '` against ip_address: ' + target.host);
+        this._withRetry('exec', {
+            'ip_address': target.host,
+            'script_path': script_path
+        }, function(attempt_cb) {
+            return self.transport.exec(target, script_cmd, {
+                'on_data': output.write
+            }, attempt_cb);
+        }, function(err, result) {
+            output.flush();
+            if (err) {
+                self._log('error', 'Error connecting to run remote provisioning script', {
+                    'ip_address': target.host,
+                    'script_path': script_path,
+                    'error': err
+                });
+                return cb(err);
+            }
+            if (result.code !== 0) {
                 self._log('error', 'Error executing remote provisioning script', {
-                    'ip_address': ip_address,
+                    'ip_address': target.host,
                     'script_path': script_path,
-                    'cmd': script_cmd,
-                    'exit_code': code
+                    'exit_code': result.code,
+                    'stdout': result.stdout,
+                    'stderr': result.stderr
                 });
-                return cb('ssh returned with error code: ' + code);
-            } else {
-                self._log('info', 'Execution of script `' + script_path + '` against ip_address ' + ip_address + ' succeeded');
-                cb(null, output);
+                return cb(new errors.ScriptError('ssh returned with error code: ' + result.code, {
+                    'instance_id': details.instance_id,
+                    'script': details.script,
+                    'exit_code': result.code,
+                    'stdout': result.stdout,
+                    'stderr': result.stderr
+                }));
             }
+            self._log('info', 'Execution of script `' + script_path + '` against ip_address ' + target.host + ' succeeded');
+            cb(null, result.stdout);
         });
     },
 
     /**
+     * Runs a shell command on a droplet (or host, see `_getInstance()`). Output is streamed line-by-line as
+     * `output` events (see `_outputStream()`).
+     *
      * @public
      */
     'runInstanceCommand': function(instance_id, cmd, cb) {
-        var self = this,
-            attempts = 0,
-            script_cmd;
-        this.api.dropletGet(instance_id, function(err, instance) {
+        var self = this;
+        this._getInstance(instance_id, function(err, instance) {
             if (err) {
                 return cb(err);
             }
-            if (!instance) {
-                return cb('Unable to locate instance_id: ' + instance_id);
-            }
-            script_cmd = _.sprintf('ssh root@%s -i %s -o StrictHostKeyChecking=no -o GSSAPIAuthentication=no -q "%s"', instance.ip_address, self._options.private_ssh_key, cmd),
-            self._log('info', 'Running command `' + script_cmd + '` against ip_address: ' + instance.ip_address);
-
-            shell.exec(script_cmd, {
-                'async': true,
-                'silent': true
-            }, function(code, output) {
-                if (code !== 0) {
+            var output = self._outputStream({
+                'instance_id': instance.id,
+                'name': instance.name,
+                'command': cmd
+            });
+            self._log('info', 'Running command `' + cmd + '` against ip_address: ' + instance.ip_address);
+            self._withRetry('exec', {
+                'ip_address': instance.ip_address,
+                'cmd': cmd
+            }, function(attempt_cb) {
+                return self.transport.exec(self._getTarget(instance), cmd, {
+                    'on_data': output.write
+                }, attempt_cb);
+            }, function(err, result) {
+                output.flush();
+                if (err) {
+                    self._log('error', 'Error connecting to run remote instance command.', {
+                        'ip_address': instance.ip_address,
+                        'cmd': cmd,
+                        'error': err
+                    });
+                    return cb(err);
+                }
+                if (result.code !== 0) {
                     self._log('error', 'Error running remote instance command.', {
                         'ip_address': instance.ip_address,
-                        'cmd': script_cmd,
-                        'exit_code': code,
-	                    'output': output
+                        'cmd': cmd,
+                        'exit_code': result.code,
+                        'stdout': result.stdout,
+                        'stderr': result.stderr
                     });
-                    return cb('ssh returned with error code: ' + code);
-                } else {
-                    self._log('info', 'Execution of command `' + script_cmd + '` against ip_address ' + instance.ip_address + ' succeeded');
-                    cb(null, output);
+                    return cb(new errors.ScriptError('ssh returned with error code: ' + result.code, {
+                        'instance_id': instance.id,
+                        'command': cmd,
+                        'exit_code': result.code,
+                        'stdout': result.stdout,
+                        'stderr': result.stderr
+                    }));
                 }
+                self._log('info', 'Execution of command `' + cmd + '` against ip_address ' + instance.ip_address + ' succeeded');
+                cb(null, result.stdout);
             });
         });
     },
 
     /**
+     * Returns a `{write, flush}` pair that splits remote output into lines and triggers an `output` event
+     * for each one. The event payload is `details` (`instance_id`, `name` and `script` or `command`)
+     * extended with `stream` ('stdout' or 'stderr') and `line`.
+     *
+     * @private
+     */
+    '_outputStream': function(details) {
+        var self = this,
+            buffers = {
+                'stdout': '',
+                'stderr': ''
+            };
+        var emit = function(stream, line) {
+            self.trigger('output', _.extend({}, details, {
+                'stream': stream,
+                'line': line
+            }));
+        };
+        return {
+            'write': function(stream, chunk) {
+                var lines = (buffers[stream] + chunk).split(/\r?\n/);
+                buffers[stream] = lines.pop();
+                _.each(lines, function(line) {
+                    emit(stream, line);
+                });
+            },
+            'flush': function() {
+                _.each(buffers, function(buffer, stream) {
+                    if (buffer.length) {
+                        emit(stream, buffer);
+                    }
+                    buffers[stream] = '';
+                });
+            }
+        };
+    },
+
+    /**
+     * Provisions one or more droplets in parallel, as a run with its own ID and log files (see
+     * `lib/run-report.js`). The run's report is attached to the result as `report`, or to the error as
+     * `err.report` if the run failed.
+     *
+     * Each droplet's `on_failure` option decides what happens to it if provisioning fails after it has
+     * been created: `keep` (the default, so that it can be resumed), `destroy` or `snapshot-then-destroy`.
+     * Its `bootstrap` option decides how its scripts are run: `ssh` (the default) copies them to the
+     * droplet once it's reachable, `cloud-init` passes them to the droplet as user data (see
+     * `_prepareCloudInit()`).
+     *
      * @public
+     * @param {Object|Array} options - One or more droplets to provision.
+     * @param {Object} [batch_options] - `all_or_nothing`: if any droplet fails, wait for the others to
+     * finish and then destroy the ones that succeeded. Droplets that fail are destroyed too, unless they
+     * have an `on_failure` option of their own. `concurrency`, `batch_size`, `pause`,
+     * `max_failures` and `rolling` limit how many droplets are provisioned at once (see
+     * `lib/rollout.js`). `concurrency` defaults to the `concurrency` setting. `run_id` names the run
+     * (e.g. after a CI build), instead of a generated ID.
      */
-    'provision': function(options, final_cb) {
+    'provision': function(options, batch_options, final_cb) {
         var instances,
+            invalid,
+            run,
             self = this;
+        if (_.isFunction(batch_options)) {
+            final_cb = batch_options;
+            batch_options = {};
+        }
+        batch_options = _.defaults({}, batch_options, {
+            'concurrency': this._options.concurrency
+        });
+        invalid = rollout.validate(batch_options);
+        if (!_.isEmpty(invalid)) {
+            return final_cb(new errors.ValidationError(invalid.join(', ')));
+        }
+        if (batch_options.run_id && !/^[A-Za-z0-9_.-]+$/.test(batch_options.run_id)) {
+            return final_cb(new errors.ValidationError('`run_id` may only contain letters, numbers, dots, dashes and underscores'));
+        }
         if (!_.isArray(options)) {
             instances = [options];
         } else {
             instances = options;
         }
-        var tasks = [];
+        var tasks = [],
+            names = _.pluck(instances, 'name');
         _.each(instances, function(instance) {
             tasks.push(function(cb) {
-                self._provision(instance, cb);
+                self._provision(_.defaults({}, instance, {
+                    'peers': names,
+                    'on_failure': batch_options.all_or_nothing ? 'destroy' : undefined
+                }), cb);
             });
         });
-        async.parallel(tasks, function(err, provisioned_instances) {
-            final_cb(err, provisioned_instances);
+        run = new RunReport(this, names, {
+            'run_id': batch_options.run_id,
+            'log_dir': this._logDir
         });
-    },
-
-    /**
+        this._log('info', 'Starting provisioning run', {
+            'run_id': run.id,
+            'droplets': names
+        });
+        this.trigger('run:started', {
+            'run_id': run.id,
+            'names': names
+        });
+        var finish = function(err, results) {
+            var report = run.finish(err);
+            self._log(err ? 'error' : 'info', 'Finished provisioning run', {
+                'run_id': run.id,
+                'status': report.status,
+                'elapsed': report.elapsed,
+                'log_dir': report.log_dir
+            });
+            self.trigger('run:finished', {
+                'run_id': run.id,
+                'report': report
+            });
+            if (err) {
+                err = errors.from(err);
+                err.report = report;
+                return final_cb(err, results);
+            }
+            results.report = report;
+            final_cb(null, results);
+        };
+        this._rollout('provision', tasks, names, batch_options, function(summary) {
+            if (!summary.error || !batch_options.all_or_nothing || tasks.length < 2) {
+                return finish(summary.error, summary.results);
+            }
+            // Every droplet that was started has finished, so the batch can be rolled back
+            self._rollback(_.compact(summary.results), function() {
+                finish(summary.error);
+            });
+        });
+    },
+
+    /**
+     * Runs a task per droplet with `lib/rollout.js`, reporting progress through `batch:*` events, and
+     * calls back with the summarized outcomes.
+     *
+     * @private
+     * @param {String} operation - `provision` or `scripts`, as reported in events.
+     * @param {Array} tasks
+     * @param {Array} targets - The name or ID of the droplet each task handles.
+     * @param {Object} options - Rollout options.
+     */
+    '_rollout': function(operation, tasks, targets, options, cb) {
+        var self = this;
+        var pick = function(indexes) {
+            return _.map(indexes, function(idx) {
+                return targets[idx];
+            });
+        };
+        rollout.run(tasks, _.extend({}, options, {
+            'on_batch': function(batch, batches, indexes) {
+                if (batches < 2) {
+                    return;
+                }
+                self._log('info', 'Starting batch ' + (batch + 1) + ' of ' + batches, {
+                    'operation': operation,
+                    'targets': pick(indexes)
+                });
+                self.trigger('batch:started', {
+                    'operation': operation,
+                    'batch': batch + 1,
+                    'batches': batches,
+                    'targets': pick(indexes)
+                });
+            }
+        }), function(err, outcomes) {
+            var summary = rollout.summarize(outcomes);
+            if (!_.isEmpty(summary.skipped)) {
+                self._log('warn', 'Stopped after reaching `max_failures`', {
+                    'operation': operation,
+                    'skipped': pick(summary.skipped)
+                });
+                self.trigger('batch:halted', {
+                    'operation': operation,
+                    'failures': _.filter(_.pluck(outcomes, 'error'), _.identity).length,
+                    'skipped': pick(summary.skipped)
+                });
+            }
+            cb(summary);
+        });
+    },
+
+    /**
+     * Destroys the droplets that were provisioned successfully as part of a failed all-or-nothing batch.
+     *
+     * @private
+     */
+    '_rollback': function(droplets, cb) {
+        var self = this;
+        this._log('warn', 'Rolling back provisioned droplets', {
+            'droplets': _.pluck(droplets, 'id')
+        });
+        async.each(droplets, function(droplet, next) {
+            self.destroyDroplet(droplet.id, function(err) {
+                if (err) {
+                    self._log('error', 'Unable to destroy droplet during rollback', {
+                        'droplet': droplet.id,
+                        'error': err
+                    });
+                }
+                next();
+            });
+        }, function() {
+            self.trigger('provision:rollback', {
+                'droplets': droplets
+            });
+            cb();
+        });
+    },
+
+    /**
+     * @private
+     */
+    '_provision': function(options, done) {
+        var self = this,
+            start = moment().unix(),
+            created = null;
+        var invalid = function(message) {
+            self._finishProvision(options.name, start, null, new errors.ValidationError(message), done);
+        };
+        if (options.on_failure && FAILURE_POLICIES.indexOf(options.on_failure) < 0) {
+            return invalid('Unknown `on_failure` policy `' + options.on_failure + '`, expected one of: ' + FAILURE_POLICIES.join(', '));
+        }
+        if (options.bootstrap && BOOTSTRAP_MODES.indexOf(options.bootstrap) < 0) {
+            return invalid('Unknown `bootstrap` mode `' + options.bootstrap + '`, expected one of: ' + BOOTSTRAP_MODES.join(', '));
+        }
+        if (options.dns) {
+            if (!_.isEmpty(dns.validate(options.dns))) {
+                return invalid(dns.validate(options.dns).join(', '));
+            }
+            if (!this.api || !_.isFunction(this.api.domainRecordGetAll)) {
+                return invalid('`dns` requires a provider with a DigitalOcean API client');
+            }
+        }
+        self._log('info', 'Provisioning new droplet', options);
+        var finalCb = function(err, instance) {
+            if (!err || !created) {
+                return self._finishProvision(options.name, start, err ? created : instance, err, done);
+            }
+            self._applyFailurePolicy(created, options, function() {
+                self._finishProvision(options.name, start, created, err, done);
+            });
+        };
+        var cb = retry.once(function(err, instance) {
+            if (err) {
+                return finalCb(err);
+            }
+            if (options.bootstrap === 'cloud-init') {
+                return finalCb(null, instance);
+            }
+            self._configureInstance(instance, options, null, finalCb);
+        });
+        this.trigger('droplet:requested', {
+            'name': options.name,
+            'options': options
+        });
+        async.waterfall([
+            function(next) {
+                self._resolveSlugs(options, next);
+            },
+            function(resolved, next) {
+                self._prepareCloudInit(options, resolved, next);
+            }
+        ], function(err, resolved) {
+            if (err) {
+                return cb(err);
+            }
+            self.provider.create({
+                'name': options.name,
+                'size': resolved.size,
+                'image': resolved.image,
+                'region': resolved.region,
+                'private_networking': options.private_networking,
+                'ipv6': options.ipv6,
+                'tags': options.tags,
+                'user_data': resolved.user_data,
+                'ssh_key_ids': self._options.ssh_key_id
+            }, function(err, droplet) {
+                if (err) {
+                    return cb(err);
+                }
+                created = droplet;
+                if (self._journal) {
+                    self._journal.record(droplet, options);
+                }
+                self._log('info', 'Droplet created', droplet);
+                self.provider.waitUntilReady(droplet, {
+                    'timeout': self._getDropletLaunchTimeout(),
+                    'interval': self._options.poll_interval,
+                    'on_poll': function(data, elapsed) {
+                        self.trigger('droplet:polled', {
+                            'name': options.name,
+                            'droplet': droplet,
+                            'status': data.status,
+                            'percentage': data.percentage,
+                            'elapsed': elapsed
+                        });
+                        if (data.status !== 'done') {
+                            self._log('info', 'Checking droplet status', {
+                                'droplet': droplet,
+                                'status': data
+                            });
+                        }
+                    }
+                }, function(err, ready) {
+                    if (err) {
+                        self._log('error', 'Droplet failed to become ready', droplet);
+                        return cb(err);
+                    }
+                    droplet = ready || droplet;
+                    created = droplet;
+                    self._log('info', 'Droplet is ready', droplet);
+                    self.trigger('droplet:active', {
+                        'name': options.name,
+                        'droplet': droplet
+                    });
+                    self._updateDns(options, droplet, function(err) {
+                        if (err) {
+                            return cb(err);
+                        }
+                        if (options.bootstrap === 'cloud-init') {
+                            return self._waitForCloudInit(options.name, droplet, resolved.scripts, cb);
+                        }
+                        self._waitForSsh(options.name, droplet, cb);
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Points a droplet's DNS records (see `lib/dns.js`) at it, if it has a `dns` option. Records that
+     * already exist, e.g. for a droplet this one replaces, are updated. The records are kept in the state
+     * journal, so that `destroyDroplet()` can remove them.
+     *
+     * @private
+     */
+    '_updateDns': function(options, droplet, cb) {
+        var self = this;
+        if (!options.dns) {
+            return process.nextTick(cb);
+        }
+        dns.upsert(this.api, dns.recordsFor(droplet, dns.normalize(options.dns, options.name)), function(err, records) {
+            if (err) {
+                self._log('error', 'Unable to update DNS records', {
+                    'droplet': droplet.id,
+                    'error': err
+                });
+                return cb(errors.wrap(err, 'Unable to update DNS records for `' + options.name + '`'));
+            }
+            if (self._journal) {
+                self._journal.update(droplet.id, {
+                    'dns_records': records
+                });
+            }
+            self._log('info', 'Updated DNS records', {
+                'droplet': droplet.id,
+                'records': records
+            });
+            self.trigger('dns:updated', {
+                'name': options.name,
+                'droplet': droplet,
+                'records': records
+            });
+            cb();
+        });
+    },
+
+    /**
+     * Removes the DNS records recorded for a droplet by `_updateDns()`.
+     *
+     * @private
+     */
+    '_removeDns': function(id, cb) {
+        var self = this,
+            entry = this._journal ? this._journal.find(id) : null;
+        if (!entry || _.isEmpty(entry.dns_records) || !this.api) {
+            return process.nextTick(cb);
+        }
+        dns.remove(this.api, entry.dns_records, function(err, removed) {
+            if (!_.isEmpty(removed)) {
+                self._log('info', 'Removed DNS records', {
+                    'droplet': id,
+                    'records': removed
+                });
+                self.trigger('dns:removed', {
+                    'droplet_id': id,
+                    'records': removed
+                });
+            }
+            cb(err);
+        });
+    },
+
+    /**
+     * Renders a droplet's scripts (and their dependencies) into cloud-init user data, if its `bootstrap`
+     * option is `cloud-init`. Calls back with `resolved` plus `user_data` and the full list of `scripts`.
+     *
+     * Variables that aren't known until the droplet boots (`droplet_id`, `public_ip`, `private_ip` and
+     * `public_ipv6`) render as references to their `MOTORBOAT_*` environment variables, which are read
+     * from the metadata service on boot. `peer_ips` and `peer_private_ips` aren't available.
+     *
+     * @private
+     */
+    '_prepareCloudInit': function(options, resolved, cb) {
+        var self = this,
+            builtins,
+            vars,
+            env = {},
+            invalid;
+        if (options.bootstrap !== 'cloud-init') {
+            return process.nextTick(function() {
+                cb(null, resolved);
+            });
+        }
+        if (options.user_data) {
+            return cb(new errors.ValidationError('`user_data` can\'t be combined with `bootstrap: cloud-init`'));
+        }
+        if (!_.isEmpty(options.folders)) {
+            return cb(new errors.ValidationError('`folders` can\'t be copied with `bootstrap: cloud-init`, as scripts run before the droplet is reachable'));
+        }
+        invalid = scriptTemplate.invalidEnv(options.env || {});
+        if (!_.isEmpty(invalid)) {
+            return cb(new errors.ValidationError('Invalid environment variable names: ' + invalid.join(', ')));
+        }
+        builtins = _.omit(this._getScriptVars({
+            'name': options.name,
+            'region_id': resolved.region,
+            'size_id': resolved.size,
+            'image_id': resolved.image
+        }, []), 'peer_ips', 'peer_private_ips');
+        _.each(builtins, function(value, name) {
+            env['MOTORBOAT_' + name.toUpperCase()] = value;
+        });
+        _.extend(env, options.env);
+        vars = _.extend({}, builtins, cloudInit.runtimeVars(), options.vars);
+        this._resolveScripts(options.scripts || [], function(err, scripts) {
+            if (err) {
+                return cb(err);
+            }
+            async.mapSeries(scripts, function(script, next) {
+                var source_path = self._getScriptPath(script);
+                fs.readFile(source_path, 'utf8', function(err, contents) {
+                    if (err) {
+                        return next(errors.wrap(err, 'Unable to read script (' + source_path + ')'));
+                    }
+                    next(null, {
+                        'name': script,
+                        'contents': scriptTemplate.render(contents, vars)
+                    });
+                });
+            }, function(err, rendered) {
+                var user_data;
+                if (err) {
+                    return cb(err);
+                }
+                user_data = cloudInit.userData(rendered, env);
+                if (Buffer.byteLength(user_data) > cloudInit.MAX_USER_DATA) {
+                    return cb(new errors.ValidationError(_.sprintf('Scripts for `%s` add up to %d bytes of user data, more than the %d allowed', options.name, Buffer.byteLength(user_data), cloudInit.MAX_USER_DATA)));
+                }
+                self._log('info', 'Packaged scripts into cloud-init user data', {
+                    'name': options.name,
+                    'scripts': scripts
+                });
+                cb(null, _.extend({}, resolved, {
+                    'user_data': user_data,
+                    'scripts': scripts
+                }));
+            });
+        });
+    },
+
+    /**
+     * Polls a droplet over SSH until the scripts passed to it as cloud-init user data have finished,
+     * then collects their results. Connection failures are retried until `timeouts.cloud_init` runs out,
+     * since the droplet may still be booting. The droplet is checked every `poll_interval` seconds.
+     *
+     * @private
+     */
+    '_waitForCloudInit': function(name, droplet, scripts, cb) {
+        var self = this,
+            target = this._getTarget(droplet),
+            timeout = this._options.timeouts.cloud_init,
+            start = moment().unix(),
+            reachable = false,
+            trusted = false;
+        var check = function(check_cb) {
+            if (trusted) {
+                return self.transport.exec(target, cloudInit.statusCommand(), {}, check_cb);
+            }
+            // The droplet's host keys are recorded once it can first be reached
+            self._trustHostKey(name, droplet, function(err) {
+                if (err) {
+                    return check_cb(err);
+                }
+                trusted = true;
+                self.transport.exec(target, cloudInit.statusCommand(), {}, check_cb);
+            });
+        };
+        var poll = function() {
+            check(function(err, result) {
+                var connected = !err && result.code === 0,
+                    status = connected ? _.trim(result.stdout) : null;
+                if (err instanceof errors.HostKeyError) {
+                    return cb(err);
+                }
+                if (connected && !reachable) {
+                    reachable = true;
+                    self.trigger('droplet:reachable', {
+                        'name': name,
+                        'droplet': droplet
+                    });
+                }
+                if (status === 'done' || status === 'failed') {
+                    self._log('info', 'cloud-init finished running scripts', {
+                        'droplet': droplet.id,
+                        'status': status
+                    });
+                    return self._collectCloudInitResults(droplet, scripts, function(err) {
+                        if (err) {
+                            return cb(err);
+                        }
+                        if (status === 'failed') {
+                            // None of the scripts failed, so the bootstrap script itself did
+                            return cb(new errors.ScriptError('cloud-init bootstrap failed on droplet ' + droplet.id, {
+                                'instance_id': droplet.id
+                            }));
+                        }
+                        cb(null, droplet);
+                    });
+                }
+                if (moment().unix() - start >= timeout) {
+                    return cb(new errors.TimeoutError(_.sprintf('Timed out after %ds waiting for cloud-init on droplet %s', timeout, droplet.id), {
+                        'timeout': timeout
+                    }));
+                }
+                self._log('info', 'Waiting for cloud-init', {
+                    'droplet': droplet.id,
+                    'status': status || (connected ? 'pending' : 'unreachable')
+                });
+                setTimeout(poll, (self._options.poll_interval || 10) * 1000);
+            });
+        };
+        poll();
+    },
+
+    /**
+     * Reads the result of each script run by cloud-init, in order, and reports it through the same
+     * `script:*` and `output` events as scripts run over SSH. Calls back with an error naming the first
+     * script that failed.
+     *
      * @private
      */
-    '_provision': function(options, finalCb) {
+    '_collectCloudInitResults': function(droplet, scripts, cb) {
+        var self = this,
+            target = this._getTarget(droplet),
+            idx = 0;
+        async.eachSeries(scripts, function(script, next) {
+            var details = {
+                'instance_id': droplet.id,
+                'name': droplet.name,
+                'script': script
+            };
+            self.transport.exec(target, cloudInit.resultCommand(idx++, script), {}, function(err, result) {
+                var parsed,
+                    output;
+                if (!err && result.code !== 0) {
+                    err = 'ssh returned with error code: ' + result.code;
+                }
+                if (err) {
+                    return next(errors.wrap(errors.from(err, errors.TransferError), 'Unable to collect cloud-init results from droplet ' + droplet.id));
+                }
+                parsed = cloudInit.parseResult(result.stdout);
+                if (!parsed) {
+                    // An earlier script failed, so this one never ran
+                    return next();
+                }
+                self.trigger('script:started', {
+                    'instance_id': droplet.id,
+                    'script': script
+                });
+                output = self._outputStream(details);
+                output.write('stdout', parsed.output);
+                output.flush();
+                if (parsed.code !== 0) {
+                    err = new errors.ScriptError(_.sprintf('Script `%s` failed during cloud-init with exit code: %s', script, parsed.code), {
+                        'instance_id': droplet.id,
+                        'script': script,
+                        'exit_code': parsed.code,
+                        'stdout': parsed.output,
+                        'stderr': ''
+                    });
+                    self.trigger('script:failed', {
+                        'instance_id': droplet.id,
+                        'script': script,
+                        'error': err
+                    });
+                    return next(err);
+                }
+                self.trigger('script:finished', {
+                    'instance_id': droplet.id,
+                    'script': script,
+                    'output': parsed.output
+                });
+                next();
+            });
+        }, cb);
+    },
+
+    /**
+     * Deals with a droplet whose provisioning failed, according to its `on_failure` option. Problems
+     * carrying out the policy are logged rather than reported, so that the original error is what the
+     * caller sees.
+     *
+     * @private
+     */
+    '_applyFailurePolicy': function(droplet, options, cb) {
+        var self = this,
+            policy = options.on_failure || 'keep',
+            snapshot_name = null,
+            tasks = [];
+        if (policy === 'keep') {
+            self._log('warn', 'Keeping droplet that failed to provision', {
+                'droplet': droplet.id
+            });
+            return cb();
+        }
+        if (policy === 'snapshot-then-destroy') {
+            snapshot_name = _.sprintf('%s-failed-%s', options.name, moment().format('YYYYMMDD-HHmmss'));
+            tasks.push(function(next) {
+                self.snapshotDroplet(droplet.id, snapshot_name, next);
+            });
+        }
+        tasks.push(function(next) {
+            self.destroyDroplet(droplet.id, next);
+        });
+        async.series(tasks, function(err) {
+            if (err) {
+                self._log('error', 'Unable to apply `on_failure` policy to droplet', {
+                    'droplet': droplet.id,
+                    'on_failure': policy,
+                    'error': err
+                });
+                return cb();
+            }
+            self._log('warn', 'Applied `on_failure` policy to droplet', {
+                'droplet': droplet.id,
+                'on_failure': policy,
+                'snapshot': snapshot_name
+            });
+            cb();
+        });
+    },
+
+    /**
+     * Waits for a droplet to accept connections on port 22, unless the provider has its own way of
+     * checking.
+     *
+     * @private
+     */
+    '_waitForSsh': function(name, droplet, cb) {
+        var self = this;
+        cb = retry.once(cb);
+        if (_.isFunction(this.provider.waitForSsh)) {
+            return this.provider.waitForSsh(droplet, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                self.trigger('droplet:reachable', {
+                    'name': name,
+                    'droplet': droplet
+                });
+                self._trustHostKey(name, droplet, cb);
+            });
+        }
+        tcpPortUsed.waitUntilUsedOnHost(22, droplet.ip_address, 1000, this._options.timeouts.ssh * 1000).then(function() {
+            self.trigger('droplet:reachable', {
+                'name': name,
+                'droplet': droplet
+            });
+            setTimeout(function() {
+                self._trustHostKey(name, droplet, cb);
+            }, SSH_SETTLE_DELAY);
+        }, function(err) {
+            self._log('warn', 'Unable to determine status of port 22 on host.', {
+                'droplet': droplet,
+                'error': err.message
+            });
+            return cb(new errors.TimeoutError(_.sprintf('Timed out after %ds waiting for SSH on droplet %s', self._options.timeouts.ssh, droplet.id), {
+                'timeout': self._options.timeouts.ssh,
+                'cause': err
+            }));
+        });
+    },
+
+    /**
+     * Records a droplet's host keys the first time it's reached, so that every later connection can be
+     * verified against them. The keys come from the provider, if it implements `hostKeys(droplet, cb)`
+     * (e.g. by reading them from the droplet's console output), or are fetched by the transport. Keys
+     * recorded for the droplet earlier are kept, so that a droplet whose key has changed since is
+     * refused; keys recorded for a different droplet at the same address are replaced. Calls back with
+     * the droplet.
+     *
+     * @private
+     */
+    '_trustHostKey': function(name, droplet, cb) {
+        var self = this,
+            target = this._getTarget(droplet),
+            source = 'provider';
+        if (!this._knownHosts || this._knownHosts.has(target.host, target.port, droplet.id)) {
+            return process.nextTick(function() {
+                cb(null, droplet);
+            });
+        }
+        var record = function(keys) {
+            var replaced = self._knownHosts.set(target.host, target.port, keys, droplet.id),
+                fingerprints = _.map(keys, function(key) {
+                    return key.type + ' ' + KnownHosts.fingerprint(key.key);
+                });
+            self._log('info', 'Recorded host keys', {
+                'droplet': droplet.id,
+                'fingerprints': fingerprints,
+                'source': source,
+                'replaced': replaced
+            });
+            self.trigger('host_key:added', {
+                'name': name,
+                'droplet': droplet,
+                'fingerprints': fingerprints,
+                'source': source
+            });
+            cb(null, droplet);
+        };
+        var scan = function() {
+            source = 'transport';
+            if (!_.isFunction(self.transport.scanHostKeys)) {
+                self._log('warn', 'Unable to record host keys: the transport does not implement `scanHostKeys`', {
+                    'droplet': droplet.id
+                });
+                return cb(null, droplet);
+            }
+            self._withRetry('host_key', {
+                'ip_address': target.host
+            }, function(attempt_cb) {
+                return self.transport.scanHostKeys(target, attempt_cb);
+            }, function(err, keys) {
+                if (err) {
+                    return cb(errors.wrap(err, 'Unable to fetch the host keys of droplet ' + droplet.id));
+                }
+                record(keys);
+            });
+        };
+        if (!_.isFunction(this.provider.hostKeys)) {
+            return scan();
+        }
+        this.provider.hostKeys(droplet, function(err, keys) {
+            if (err || _.isEmpty(keys)) {
+                self._log('warn', 'The provider was unable to supply host keys', {
+                    'droplet': droplet.id,
+                    'error': err
+                });
+                return scan();
+            }
+            record(keys);
+        });
+    },
+
+    /**
+     * Copies a newly provisioned droplet's folders and runs its scripts. Folders and scripts listed in
+     * `completed` (as recorded by the state journal) are skipped.
+     *
+     * @private
+     */
+    '_configureInstance': function(instance, options, completed, cb) {
+        var self = this,
+            folders;
+        completed = _.defaults({}, completed, {
+            'folders': [],
+            'scripts': []
+        });
+        folders = _.reject(options.folders || [], function(folder) {
+            return completed.folders.indexOf(StateJournal.folderKey(folder.source, folder.destination)) >= 0;
+        });
+        var runScripts = function() {
+            if (_.isArray(options.scripts) && !_.isEmpty(options.scripts)) {
+                self.executeScripts(instance.id, options.scripts, {
+                    'vars': options.vars,
+                    'env': options.env,
+                    'peers': options.peers,
+                    'skip': completed.scripts
+                }, function(err, result) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    return cb(null, instance);
+                });
+            } else {
+                cb(null, instance);
+            }
+        };
+        var folderSeries = [];
+        _.each(folders, function(folder) {
+            folderSeries.push(function(cb) {
+                self.copyFolder(instance.id, folder.source, folder.destination, cb);
+            });
+        });
+        async.series(folderSeries, function(err, result) {
+            if (err) {
+                return cb(err);
+            }
+            runScripts();
+        });
+    },
+
+    /**
+     * Triggers `provision:complete` or `provision:failed` for a droplet, then calls `cb`.
+     *
+     * @private
+     */
+    '_finishProvision': function(name, start, droplet, err, cb) {
+        if (err) {
+            err = errors.from(err);
+            this.trigger('provision:failed', {
+                'name': name,
+                'droplet': droplet,
+                'error': err,
+                'elapsed': moment().unix() - start
+            });
+            return cb(err);
+        }
+        this.trigger('provision:complete', {
+            'name': name,
+            'droplet': droplet,
+            'elapsed': moment().unix() - start
+        });
+        return cb(null, droplet);
+    },
+
+    /**
+     * Picks up a failed (or interrupted) provisioning run where it left off, using the state journal. The
+     * droplet isn't re-created, and folders and scripts that already completed aren't run again.
+     *
+     * @public
+     * @param {Number|String} id_or_name - The droplet's ID or name.
+     */
+    'resume': function(id_or_name, cb) {
         var self = this,
             start = moment().unix(),
-            interval,
-            called = false;
-        self._log('info', 'Provisioning new droplet', options);
-        var cb = function(err, instance) {
-            if (called) {
-                return;
+            entry;
+        if (!this._journal) {
+            return cb(new errors.ValidationError('Unable to resume: the state journal is disabled (`state_file: false`)'));
+        }
+        entry = this._journal.find(id_or_name);
+        if (!entry) {
+            return cb(new errors.NotFoundError('Unable to resume: no droplet `' + id_or_name + '` in the state journal'));
+        }
+        this._log('info', 'Resuming provisioning of droplet', {
+            'droplet': entry.id,
+            'status': entry.status,
+            'completed_folders': entry.completed_folders,
+            'completed_scripts': entry.completed_scripts
+        });
+        this.provider.get(entry.id, function(err, droplet) {
+            if (err) {
+                return cb(err);
             }
-            called = true;
-            if (interval) {
-                clearInterval(interval);
+            if (!droplet) {
+                return cb(new errors.NotFoundError('Unable to resume: droplet ' + entry.id + ' no longer exists', {
+                    'instance_id': entry.id
+                }));
             }
+            if (entry.status === 'complete') {
+                return cb(null, droplet);
+            }
+            self._waitForSsh(entry.name, droplet, function(err) {
+                if (err) {
+                    return self._finishProvision(entry.name, start, droplet, err, cb);
+                }
+                self._configureInstance(droplet, entry.options, {
+                    'folders': entry.completed_folders,
+                    'scripts': entry.completed_scripts
+                }, function(err) {
+                    self._finishProvision(entry.name, start, droplet, err, cb);
+                });
+            });
+        });
+    },
+
+    /**
+     * Powers a droplet off and snapshots it. Calls back with the resulting image (`{id, name, ...}`) once
+     * the snapshot has completed. The droplet is left powered off.
+     *
+     * @public
+     */
+    'snapshotDroplet': function(instance_id, name, cb) {
+        var self = this;
+        this._log('info', 'Snapshotting droplet', {
+            'droplet': instance_id,
+            'name': name
+        });
+        this.provider.powerOff(instance_id, function(err) {
             if (err) {
-                return finalCb(err);
+                return cb(err);
             }
-            var runScripts = function() {
-                if (_.isArray(options.scripts) && !_.isEmpty(options.scripts)) {
-                    self.executeScripts(instance.id, options.scripts, function(err, result) {
-                        if (err) {
-                            return finalCb(err);
-                        }
-                        return finalCb(null, instance);
+            self.provider.snapshot(instance_id, name, cb);
+        });
+    },
+
+    /**
+     * Bakes a reusable image: provisions a temporary builder droplet, powers it off, snapshots it and
+     * destroys it. The builder is destroyed whether or not baking succeeds, so its `on_failure` option is
+     * ignored. Calls back with the image (`{id, name, ...}`).
+     *
+     * @public
+     * @param {Object} options - As accepted by `provision()`, plus `image_name`: the name of the snapshot
+     * (defaults to `<name>-<YYYYMMDD-HHmmss>`). The builder droplet is named `<image_name>-builder`.
+     */
+    'bake': function(options, cb) {
+        var self = this,
+            start = moment().unix(),
+            image_name = options.image_name || _.sprintf('%s-%s', options.name, moment().format('YYYYMMDD-HHmmss')),
+            builder = null,
+            image = null;
+        if (!options.name && !options.image_name) {
+            return cb(new errors.ValidationError('`name` or `image_name` is required to bake an image'));
+        }
+        var builder_options = _.extend(_.omit(options, 'image_name'), {
+            'name': image_name + '-builder',
+            'on_failure': 'destroy'
+        });
+        var finish = function(err) {
+            if (err) {
+                err = errors.from(err);
+                self._log('error', 'Unable to bake image', {
+                    'image_name': image_name,
+                    'error': err
+                });
+                self.trigger('bake:failed', {
+                    'name': image_name,
+                    'error': err,
+                    'elapsed': moment().unix() - start
+                });
+                return cb(err);
+            }
+            self._log('info', 'Baked image', image);
+            self.trigger('bake:complete', {
+                'name': image_name,
+                'image': image,
+                'elapsed': moment().unix() - start
+            });
+            return cb(null, image);
+        };
+        this._log('info', 'Baking image', {
+            'image_name': image_name,
+            'builder': builder_options.name
+        });
+        async.series([
+            function(next) {
+                self._provision(builder_options, function(err, droplet) {
+                    builder = droplet;
+                    next(err);
+                });
+            },
+            function(next) {
+                self.snapshotDroplet(builder.id, image_name, function(err, result) {
+                    image = result;
+                    next(err);
+                });
+            }
+        ], function(err) {
+            if (!builder) {
+                // `_provision()` has already destroyed the builder, if it was created
+                return finish(err);
+            }
+            self.destroyDroplet(builder.id, function(destroy_err) {
+                if (destroy_err) {
+                    self._log('error', 'Unable to destroy builder droplet', {
+                        'droplet': builder.id,
+                        'error': destroy_err
                     });
-                } else {
-                    finalCb(null, instance);
                 }
-            };
-            if (_.isArray(options.folders)) {
-                var folderSeries = [];
-                _.each(options.folders, function(folder) {
-                    folderSeries.push(function(cb) {
-                        self.copyFolder(instance.id, folder.source, folder.destination, cb);
+                if (err) {
+                    return finish(err);
+                }
+                if (destroy_err) {
+                    return finish(errors.wrap(destroy_err, _.sprintf('Baked image %s but was unable to destroy builder droplet %s', image.id, builder.id)));
+                }
+                finish();
+            });
+        });
+    },
+
+    /**
+     * Destroys a droplet, removes the DNS records Motorboat created for it and forgets everything
+     * Motorboat recorded about it, including its host keys.
+     *
+     * @public
+     */
+    'destroyDroplet': function(id, cb) {
+        var self = this;
+        this.provider.destroy(id, function(err, result) {
+            if (err) {
+                return cb(err);
+            }
+            self._removeDns(id, function(dns_err) {
+                if (self._journal) {
+                    self._journal.remove(id);
+                }
+                if (self._knownHosts && self._knownHosts.removeDroplet(id)) {
+                    self.trigger('host_key:removed', {
+                        'droplet_id': id
                     });
+                }
+                if (dns_err) {
+                    return cb(errors.wrap(dns_err, 'Destroyed droplet ' + id + ' but was unable to remove its DNS records'));
+                }
+                return cb(null, result);
+            });
+        });
+    },
+
+    /**
+     * Loads a stack manifest, marking each droplet's options with the manifest's absolute path so that the
+     * state journal records which manifest created it.
+     *
+     * @private
+     */
+    '_loadManifest': function(file, cb) {
+        manifest.load(file, function(err, droplets) {
+            if (err) {
+                return cb(err);
+            }
+            cb(null, _.map(droplets, function(droplet) {
+                return _.extend({}, droplet, {
+                    'manifest': path.resolve(file)
                 });
-                async.series(folderSeries, function(err, result) {
+            }));
+        });
+    },
+
+    /**
+     * Provisions every droplet described in a JSON or YAML stack manifest (see `lib/manifest.js`).
+     *
+     * @public
+     * @param {String} file - Path to the manifest.
+     * @param {Object} [batch_options] - As accepted by `provision()`.
+     */
+    'provisionManifest': function(file, batch_options, cb) {
+        var self = this;
+        if (_.isFunction(batch_options)) {
+            cb = batch_options;
+            batch_options = {};
+        }
+        self._loadManifest(file, function(err, droplets) {
+            if (err) {
+                return cb(err);
+            }
+            async.eachSeries(droplets, function(droplet, next) {
+                self._resolveScripts(droplet.scripts || [], function(err) {
                     if (err) {
-                        return finalCb(err);
+                        return next(errors.wrap(err, 'Invalid manifest (' + file + '): ' + droplet.name));
                     }
-                    runScripts();
+                    next();
                 });
-            } else {
-                runScripts();
+            }, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                self._log('info', 'Provisioning droplets from manifest', {
+                    'manifest': file,
+                    'droplets': _.pluck(droplets, 'name')
+                });
+                self.provision(droplets, batch_options, cb);
+            });
+        });
+    },
+
+    /**
+     * Bakes an image (see `bake()`) from one of the droplets described in a stack manifest.
+     *
+     * @public
+     * @param {String} file - Path to the manifest.
+     * @param {String} name - The name of the droplet in the manifest.
+     * @param {Object} [options] - `image_name`.
+     */
+    'bakeManifest': function(file, name, options, cb) {
+        var self = this;
+        if (_.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+        self._loadManifest(file, function(err, droplets) {
+            if (err) {
+                return cb(err);
             }
-        };
-        this.api.dropletNew(options.name, options.size, options.image, options.region, {
-            'private_networking': options.private_networking,
-            'ssh_key_ids': this._options.ssh_key_id
-        }, function(err, droplet) {
+            var droplet = _.findWhere(droplets, {
+                'name': name
+            });
+            if (!droplet) {
+                return cb(new errors.NotFoundError('Invalid manifest (' + file + '): no droplet named `' + name + '`'));
+            }
+            self._resolveScripts(droplet.scripts || [], function(err) {
+                if (err) {
+                    return cb(errors.wrap(err, 'Invalid manifest (' + file + '): ' + name));
+                }
+                self.bake(_.extend({}, droplet, _.pick(options || {}, 'image_name')), cb);
+            });
+        });
+    },
+
+    /**
+     * Returns the existing droplets that the state journal records as created from a JSON or YAML stack
+     * manifest and that are still named in it, i.e. those that `destroyManifest()` would destroy. Droplets
+     * that merely share a name with one in the manifest are left out, so this needs the state journal.
+     *
+     * @public
+     * @param {String} file - Path to the manifest.
+     */
+    'findManifestDroplets': function(file, cb) {
+        var self = this;
+        if (!this._journal) {
+            return cb(new errors.ValidationError('Unable to tell which droplets were created from the manifest: the state journal is disabled (`state_file: false`)'));
+        }
+        this._loadManifest(file, function(err, droplets) {
             if (err) {
-                throw err;
+                return cb(err);
             }
-            self._log('info', 'Droplet created', droplet);
-                interval = setInterval(function() {
-                self.api.eventGet(droplet.event_id, function(err, data) {
-                    if (err) {
-                        clearInterval(interval);
-                        self._log('error', 'Droplet failed to become ready', droplet);
-                        return cb(err);
-                    }
-                    if (data.action_status === 'done') {
-                        self._log('info', 'Droplet is ready', droplet);
-                        clearInterval(interval);
-                        tcpPortUsed.waitUntilUsedOnHost(22, droplet.ip_address, 1000, 240000).then(function() {
-                            setTimeout(function() {
-                                return cb(null, droplet);
-                            }, 10000);
-                        }, function(err) {
-                            self._log('warn', 'Unable to determine status of port 22 on host.', {
-                                'droplet': droplet
-                            });
-                            return cb(err);
-                        });
-                        return;
-                    }
-                    self._log('info', 'Checking droplet status', {
-                        'droplet': droplet,
-                        'status': data
-                    });
-                    var tsDiff = moment().unix() - start;
-                    if (tsDiff >= self._getDropletLaunchTimeout()) {
-                        clearInterval(interval);
-                        self._log('error', 'Droplet failed to become ready', droplet);
-                        return cb('Creation of new droplet exceeded timeout of: ' + self._getDropletLaunchTimeout());
-                    }
+            var names = _.pluck(droplets, 'name'),
+                source = path.resolve(file);
+            self.provider.list(function(err, existing) {
+                if (err) {
+                    return cb(err);
+                }
+                return cb(null, _.filter(existing, function(droplet) {
+                    var entry = self._journal.find(droplet.id);
+                    return names.indexOf(droplet.name) >= 0 && entry && entry.options &&
+                        entry.options.manifest === source;
+                }));
+            });
+        });
+    },
+
+    /**
+     * Destroys the droplets created from a JSON or YAML stack manifest (see `findManifestDroplets()`).
+     * Given `options.ids`, only those of them with one of these IDs are destroyed, so that a list that was
+     * shown and confirmed can't grow in the meantime.
+     *
+     * @public
+     * @param {String} file - Path to the manifest.
+     * @param {Object} [options] - `ids`.
+     */
+    'destroyManifest': function(file, options, cb) {
+        var self = this;
+        if (_.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+        this.findManifestDroplets(file, function(err, targets) {
+            if (err) {
+                return cb(err);
+            }
+            if (options.ids) {
+                var ids = _.map(options.ids, String);
+                targets = _.filter(targets, function(droplet) {
+                    return ids.indexOf(String(droplet.id)) >= 0;
+                });
+            }
+            self._log('info', 'Destroying droplets from manifest', {
+                'manifest': file,
+                'droplets': _.pluck(targets, 'id')
+            });
+            var kill_tasks = [];
+            _.each(targets, function(droplet) {
+                kill_tasks.push(function(cb) {
+                    self.destroyDroplet(droplet.id, cb);
+                });
+            });
+            async.parallel(kill_tasks, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                return cb(null, targets);
+            });
+        });
+    },
+
+    /**
+     * Computes the changes required to bring existing droplets in line with a desired set of droplets,
+     * matched by name. See `lib/plan.js` for the structure of the returned plan.
+     *
+     * @public
+     * @param {Array} desired - A list of `provision()` options.
+     * @param {Object} [options] - `prune`: also destroy droplets that aren't in the desired set.
+     */
+    'plan': function(desired, options, cb) {
+        var self = this;
+        if (_.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+        if (!_.isArray(desired)) {
+            desired = [desired];
+        }
+        async.mapSeries(desired, this._resolveSlugs.bind(this), function(err, resolved) {
+            if (err) {
+                return cb(err);
+            }
+            self.provider.list(function(err, droplets) {
+                if (err) {
+                    return cb(err);
+                }
+                return cb(null, reconcilePlan.compute(resolved, droplets, options));
+            });
+        });
+    },
+
+    /**
+     * Resolves the region, size and image names in a droplet's options to IDs (see
+     * `lib/slug-resolver.js`). Providers without a DigitalOcean API client are passed the options as
+     * they are.
+     *
+     * @private
+     */
+    '_resolveSlugs': function(options, cb) {
+        if (!this._slugs) {
+            return process.nextTick(function() {
+                cb(null, options);
+            });
+        }
+        this._slugs.resolveOptions(options, cb);
+    },
+
+    /**
+     * Computes a plan (see `plan()`) for the droplets described in a stack manifest.
+     *
+     * @public
+     * @param {String} file - Path to the manifest.
+     */
+    'planManifest': function(file, options, cb) {
+        var self = this;
+        if (_.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+        self._loadManifest(file, function(err, droplets) {
+            if (err) {
+                return cb(err);
+            }
+            self.plan(droplets, options, cb);
+        });
+    },
+
+    /**
+     * Applies a plan returned by `plan()`. Droplets being replaced or destroyed are destroyed first,
+     * then new and replacement droplets are provisioned. The result's `report` is the provisioning run's
+     * report (see `provision()`), or null if no droplets needed to be provisioned.
+     *
+     * @public
+     */
+    'applyPlan': function(plan, cb) {
+        var self = this,
+            doomed = _.pluck(plan.replace, 'droplet').concat(_.pluck(plan.destroy, 'droplet')),
+            kill_tasks = [];
+        this._log('info', 'Applying plan', {
+            'create': _.pluck(_.pluck(plan.create, 'options'), 'name'),
+            'replace': _.pluck(_.pluck(plan.replace, 'options'), 'name'),
+            'destroy': _.pluck(doomed, 'id')
+        });
+        _.each(doomed, function(droplet) {
+            kill_tasks.push(function(cb) {
+                self.destroyDroplet(droplet.id, cb);
+            });
+        });
+        async.parallel(kill_tasks, function(err) {
+            if (err) {
+                return cb(err);
+            }
+            var pending = _.pluck(plan.create, 'options').concat(_.pluck(plan.replace, 'options'));
+            var done = function(err, created) {
+                if (err) {
+                    return cb(err);
+                }
+                return cb(null, {
+                    'created': created,
+                    'kept': _.pluck(plan.keep, 'droplet'),
+                    'destroyed': _.pluck(doomed, 'id'),
+                    'report': created.report || null
                 });
-            }, 8000);
+            };
+            if (_.isEmpty(pending)) {
+                return done(null, []);
+            }
+            self.provision(pending, done);
         });
     },
 
@@ -532,7 +2258,7 @@ _.extend(DigitalOceanProvisioner.prototype, /** @lends DigitalOceanProvisioner.p
      * @private
      */
     '_getDropletLaunchTimeout': function() {
-        return 600; // 10 minutes
+        return this._options.timeouts.droplet_launch;
     },
 
     /**
@@ -547,7 +2273,7 @@ _.extend(DigitalOceanProvisioner.prototype, /** @lends DigitalOceanProvisioner.p
         _.each(ids, function(id, k) {
             ids[k] = parseInt(id, 10);
         });
-        this.api.dropletGetAll(function(err, droplets) {
+        this.provider.list(function(err, droplets) {
             if (err) {
                 return cb(err);
             }
@@ -560,42 +2286,56 @@ _.extend(DigitalOceanProvisioner.prototype, /** @lends DigitalOceanProvisioner.p
             var kill_tasks = [];
             _.each(bad_ids, function(id) {
                 kill_tasks.push(function(cb) {
-                    self.api.dropletDestroy(id, cb);
+                    self.destroyDroplet(id, cb);
                 });
             });
             async.parallel(kill_tasks, function(err, result) {
                 if (err) {
                     return cb(err);
                 }
-                return cb(result);
+                return cb(null, result);
             });
         });
     },
 
     /**
+     * Returns the provider's droplets (see `lib/digital-ocean-provider.js` for their attributes).
+     *
      * @public
      */
-    'listDroplets': function() {
-        this.api.dropletGetAll(function(err, droplets) {
-            _.each(droplets, function(droplet) {
-                _.each(droplet, function(v, k) {
-                    if (v === false) {
-                        droplet[k] = 'No';
-                    } else if (!v) {
-                        droplet[k] = 'N/A';
-                    } else if (v === true) {
-                        droplet[k] = 'Yes';
-                    }
+    'listDroplets': function(cb) {
+        this.provider.list(cb);
+    },
+
+    /**
+     * Looks up droplets by ID or name, failing if any of them can't be found.
+     *
+     * @public
+     * @param {Array} refs - Droplet IDs or names.
+     */
+    'findDroplets': function(refs, cb) {
+        this.provider.list(function(err, droplets) {
+            if (err) {
+                return cb(err);
+            }
+            var found = [],
+                missing = [];
+            _.each(refs, function(ref) {
+                var droplet = _.find(droplets, function(droplet) {
+                    return String(droplet.id) === String(ref) || droplet.name === ref;
                 });
+                if (droplet) {
+                    found.push(droplet);
+                } else {
+                    missing.push(ref);
+                }
             });
-            var table = new Table({
-                'head': ['ID', 'Name', 'Image ID', 'Size ID', 'Region ID', 'Backups Active', 'Public IP', 'Private IP', 'Locked', 'Status', 'Created At'],
-                'colWidths': [15, 40, 15, 15, 15, 20, 20, 20, 15, 15, 25]
-            });
-            _.each(droplets, function(droplet) {
-                table.push([droplet.id, droplet.name, droplet.image_id, droplet.size_id, droplet.region_id, droplet.backups_active, droplet.ip_address, droplet.private_ip_address, droplet.locked, droplet.status, droplet.created_at]);
-            });
-            console.log(table.toString());
+            if (!_.isEmpty(missing)) {
+                return cb(new errors.NotFoundError('Unable to locate droplets: ' + missing.join(', '), {
+                    'missing': missing
+                }));
+            }
+            return cb(null, found);
         });
     },
 
@@ -605,7 +2345,7 @@ _.extend(DigitalOceanProvisioner.prototype, /** @lends DigitalOceanProvisioner.p
      * @param {String} name - The name of an existing droplet.
      */
     'getDropletByName': function(name, cb) {
-        this.api.dropletGetAll(function(err, droplets) {
+        this.provider.list(function(err, droplets) {
             if (err) {
                 return cb(err);
             }
@@ -620,15 +2360,60 @@ _.extend(DigitalOceanProvisioner.prototype, /** @lends DigitalOceanProvisioner.p
      * @private
      */
     '_log': function() {
-        if (!this._options.enable_logging) {
+        var logger = this._options.enable_logging ? this._getLogger() : null;
+        if (!logger) {
             return false;
         }
-        winston.log.apply(winston, arguments);
+        logger.log.apply(logger, arguments);
         return true;
     }
 
 });
 
+/**
+ * Public methods that return a promise when they're called without a callback. Whatever goes wrong, they
+ * call back with (or reject with) a Motorboat error (see `lib/errors.js`).
+ */
+_.each([
+    'executeScripts',
+    'copyFolder',
+    'syncFolders',
+    'executeInstanceScript',
+    'runInstanceCommand',
+    'provision',
+    'provisionManifest',
+    'findManifestDroplets',
+    'destroyManifest',
+    'plan',
+    'planManifest',
+    'applyPlan',
+    'dropletDestroyExcept',
+    'getDropletByName',
+    'resume',
+    'bake',
+    'bakeManifest',
+    'snapshotDroplet',
+    'destroyDroplet',
+    'findDroplets',
+    'listDroplets'
+], function(method) {
+    DigitalOceanProvisioner.prototype[method] = promised(errors.typed(DigitalOceanProvisioner.prototype[method]));
+});
+
 MicroEvent.mixin(DigitalOceanProvisioner.prototype);
 
+DigitalOceanProvisioner.FAILURE_POLICIES = FAILURE_POLICIES;
+DigitalOceanProvisioner.BOOTSTRAP_MODES = BOOTSTRAP_MODES;
+DigitalOceanProvisioner.errors = errors;
+
+/**
+ * Creates a provisioner from layered configuration: config files, profiles, environment variables and
+ * overrides. See `lib/config.js` for the accepted options.
+ *
+ * @static
+ */
+DigitalOceanProvisioner.fromConfig = function(options) {
+    return new DigitalOceanProvisioner(config.load(options));
+};
+
 module.exports = DigitalOceanProvisioner;
@@ -0,0 +1,382 @@
+var _ = require('underscore'),
+    https = require('https'),
+    url = require('url'),
+    errors = require('./errors'),
+    DigitalOceanV2Client;
+
+/**
+ * Minimal client for version 2 of the DigitalOcean API, authenticated with a personal access token.
+ *
+ * Where v2 has an equivalent of a v1 command in `lib/api_commands.js`, it's offered under the same name
+ * (e.g. `regionGetAll()`, `dropletReboot()`), so that the provisioner can expose it in the same way.
+ * Results are the v2 objects, and commands that start an action call back with the action's ID in place
+ * of v1's event ID.
+ *
+ * @class DigitalOceanV2Client
+ */
+DigitalOceanV2Client = function() {
+    this.init.apply(this, arguments);
+};
+
+_.extend(DigitalOceanV2Client.prototype, /** @lends DigitalOceanV2Client.prototype */ {
+
+    /**
+     * @public
+     * @constructor
+     * @param {String} token - A personal access token.
+     * @param {Object} [options] - `endpoint`, defaults to `https://api.digitalocean.com/v2/`, and
+     *     `timeout`, the seconds after which a request is abandoned (60 by default, or 0 for no limit).
+     */
+    'init': function(token, options) {
+        options = options || {};
+        this._token = token;
+        this._endpoint = options.endpoint || 'https://api.digitalocean.com/v2/';
+        this._timeout = _.isUndefined(options.timeout) ? 60 : options.timeout;
+    },
+
+    /**
+     * Makes an API request. Calls back with the parsed response body, or an `ApiError` that includes the
+     * API's message and the response `status` if it isn't 2xx. Requests that take longer than the
+     * client's `timeout` are aborted and fail with a `TimeoutError`.
+     *
+     * @private
+     */
+    '_request': function(method, path, body, cb) {
+        var self = this,
+            target = url.parse(url.resolve(this._endpoint, path)),
+            payload = body ? JSON.stringify(body) : null,
+            called = false,
+            req;
+        var done = function(err, result) {
+            if (called) {
+                return;
+            }
+            called = true;
+            cb(err, result);
+        };
+        req = https.request({
+            'method': method,
+            'hostname': target.hostname,
+            'port': target.port,
+            'path': target.path,
+            'headers': _.extend({
+                'Authorization': 'Bearer ' + this._token,
+                'Content-Type': 'application/json'
+            }, payload ? {
+                'Content-Length': Buffer.byteLength(payload)
+            } : {})
+        }, function(res) {
+            var data = '';
+            res.setEncoding('utf8');
+            res.on('data', function(chunk) {
+                data += chunk;
+            });
+            res.on('end', function() {
+                var parsed = {};
+                if (data) {
+                    try {
+                        parsed = JSON.parse(data);
+                    } catch (e) {
+                        return done(new errors.ApiError('Unable to parse DigitalOcean API response (' + res.statusCode + '): ' + e.message, {
+                            'status': res.statusCode
+                        }));
+                    }
+                }
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    return done(new errors.ApiError('DigitalOcean API error (' + res.statusCode + '): ' + (parsed.message || parsed.id || data), {
+                        'status': res.statusCode
+                    }));
+                }
+                done(null, parsed);
+            });
+        });
+        if (this._timeout) {
+            req.setTimeout(this._timeout * 1000, function() {
+                done(new errors.TimeoutError('DigitalOcean API request timed out after ' + self._timeout + 's', {
+                    'timeout': self._timeout
+                }));
+                req.abort();
+            });
+        }
+        req.on('error', function(err) {
+            done(new errors.ApiError('DigitalOcean API request failed: ' + err.message, {
+                'cause': err
+            }));
+        });
+        if (payload) {
+            req.write(payload);
+        }
+        req.end();
+    },
+
+    /**
+     * Fetches every page of a list endpoint and calls back with the combined `key` arrays.
+     *
+     * @private
+     */
+    '_getAll': function(path, key, cb) {
+        var self = this,
+            results = [];
+        var fetch = function(page_path) {
+            self._request('GET', page_path, null, function(err, body) {
+                if (err) {
+                    return cb(err);
+                }
+                results = results.concat(body[key] || []);
+                if (body.links && body.links.pages && body.links.pages.next) {
+                    return fetch(body.links.pages.next);
+                }
+                cb(null, results);
+            });
+        };
+        fetch(path + (path.indexOf('?') >= 0 ? '&' : '?') + 'per_page=200');
+    },
+
+    /**
+     * Starts an action on a droplet and calls back with the action's ID.
+     *
+     * @private
+     */
+    '_dropletAction': function(id, type, params, cb) {
+        this._request('POST', 'droplets/' + id + '/actions', _.extend({
+            'type': type
+        }, params), function(err, body) {
+            if (err) {
+                return cb(err);
+            }
+            cb(null, body.action.id);
+        });
+    },
+
+    /**
+     * Creates a droplet from v2 attributes (`name`, `region`, `size`, `image`, `ssh_keys`, `tags`, ...).
+     * Calls back with the droplet, whose `action_id` is the ID of its create action.
+     *
+     * @public
+     */
+    'dropletCreate': function(attrs, cb) {
+        this._request('POST', 'droplets', attrs, function(err, body) {
+            var create_action;
+            if (err) {
+                return cb(err);
+            }
+            create_action = _.findWhere((body.links && body.links.actions) || [], {
+                'rel': 'create'
+            });
+            cb(null, _.extend({}, body.droplet, {
+                'action_id': create_action ? create_action.id : null
+            }));
+        });
+    },
+
+    /**
+     * @public
+     */
+    'dropletGetAll': function(cb) {
+        this._getAll('droplets', 'droplets', cb);
+    },
+
+    /**
+     * @public
+     */
+    'dropletGet': function(id, cb) {
+        this._request('GET', 'droplets/' + id, null, function(err, body) {
+            cb(err, body && body.droplet);
+        });
+    },
+
+    /**
+     * @public
+     */
+    'dropletDestroy': function(id, cb) {
+        this._request('DELETE', 'droplets/' + id, null, function(err) {
+            cb(err);
+        });
+    },
+
+    /**
+     * @public
+     */
+    'dropletReboot': function(id, cb) {
+        this._dropletAction(id, 'reboot', {}, cb);
+    },
+
+    /**
+     * @public
+     */
+    'dropletPowerCycle': function(id, cb) {
+        this._dropletAction(id, 'power_cycle', {}, cb);
+    },
+
+    /**
+     * @public
+     */
+    'dropletShutdown': function(id, cb) {
+        this._dropletAction(id, 'shutdown', {}, cb);
+    },
+
+    /**
+     * @public
+     */
+    'dropletPowerOff': function(id, cb) {
+        this._dropletAction(id, 'power_off', {}, cb);
+    },
+
+    /**
+     * @public
+     */
+    'dropletPowerOn': function(id, cb) {
+        this._dropletAction(id, 'power_on', {}, cb);
+    },
+
+    /**
+     * @public
+     * @param {Object} options - `name`.
+     */
+    'dropletSnapshot': function(id, options, cb) {
+        this._dropletAction(id, 'snapshot', _.pick(options || {}, 'name'), cb);
+    },
+
+    /**
+     * @public
+     */
+    'actionGet': function(id, cb) {
+        this._request('GET', 'actions/' + id, null, function(err, body) {
+            cb(err, body && body.action);
+        });
+    },
+
+    /**
+     * @public
+     */
+    'regionGetAll': function(cb) {
+        this._getAll('regions', 'regions', cb);
+    },
+
+    /**
+     * @public
+     */
+    'sizeGetAll': function(cb) {
+        this._getAll('sizes', 'sizes', cb);
+    },
+
+    /**
+     * @public
+     */
+    'imageGetAll': function(cb) {
+        this._getAll('images', 'images', cb);
+    },
+
+    /**
+     * @public
+     */
+    'imageGetMine': function(cb) {
+        this._getAll('images?private=true', 'images', cb);
+    },
+
+    /**
+     * @public
+     */
+    'imageDestroy': function(id, cb) {
+        this._request('DELETE', 'images/' + id, null, function(err) {
+            cb(err);
+        });
+    },
+
+    /**
+     * @public
+     */
+    'domainGetAll': function(cb) {
+        this._getAll('domains', 'domains', cb);
+    },
+
+    /**
+     * @public
+     */
+    'domainNew': function(name, ip_address, cb) {
+        this._request('POST', 'domains', {
+            'name': name,
+            'ip_address': ip_address
+        }, function(err, body) {
+            cb(err, body && body.domain);
+        });
+    },
+
+    /**
+     * @public
+     */
+    'domainGet': function(name, cb) {
+        this._request('GET', 'domains/' + name, null, function(err, body) {
+            cb(err, body && body.domain);
+        });
+    },
+
+    /**
+     * @public
+     */
+    'domainDestroy': function(name, cb) {
+        this._request('DELETE', 'domains/' + name, null, function(err) {
+            cb(err);
+        });
+    },
+
+    /**
+     * @public
+     */
+    'domainRecordGetAll': function(domain, cb) {
+        this._getAll('domains/' + domain + '/records', 'domain_records', cb);
+    },
+
+    /**
+     * @public
+     * @param {Object} optionals - `name`, `priority`, `port` and `weight`, as for v1.
+     */
+    'domainRecordNew': function(domain, type, data, optionals, cb) {
+        this._request('POST', 'domains/' + domain + '/records', _.extend({
+            'type': type,
+            'data': data
+        }, optionals), function(err, body) {
+            cb(err, body && body.domain_record);
+        });
+    },
+
+    /**
+     * @public
+     */
+    'domainRecordGet': function(domain, id, cb) {
+        this._request('GET', 'domains/' + domain + '/records/' + id, null, function(err, body) {
+            cb(err, body && body.domain_record);
+        });
+    },
+
+    /**
+     * @public
+     */
+    'domainRecordEdit': function(domain, id, type, data, optionals, cb) {
+        this._request('PUT', 'domains/' + domain + '/records/' + id, _.extend({
+            'type': type,
+            'data': data
+        }, optionals), function(err, body) {
+            cb(err, body && body.domain_record);
+        });
+    },
+
+    /**
+     * @public
+     */
+    'domainRecordDestroy': function(domain, id, cb) {
+        this._request('DELETE', 'domains/' + domain + '/records/' + id, null, function(err) {
+            cb(err);
+        });
+    },
+
+    /**
+     * @public
+     */
+    'sshKeyGetAll': function(cb) {
+        this._getAll('account/keys', 'ssh_keys', cb);
+    }
+
+});
+
+module.exports = DigitalOceanV2Client;
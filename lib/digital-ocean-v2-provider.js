@@ -0,0 +1,287 @@
+var _ = require('underscore'),
+    DigitalOceanV2Client = require('./digital-ocean-v2-client'),
+    moment = require('moment'),
+    errors = require('./errors'),
+    retry = require('./retry'),
+    DigitalOceanV2Provider;
+
+/**
+ * Cloud provider backed by version 2 of the DigitalOcean API, authenticated with a personal access token.
+ * It implements the same interface as `DigitalOceanProvider` (see `lib/digital-ocean-provider.js`), and
+ * returns droplets in the same shape, with a few additions:
+ *
+ * - `create()` also accepts `tags`, `ipv6` and `user_data`, and `ssh_key_ids` may include key fingerprints
+ * - `size_id` and `region_id` are slugs (e.g. `512mb`, `nyc2`), as v2 identifies sizes and regions by slug
+ * - droplets have an `ipv6_address` and `tags`
+ *
+ * @class DigitalOceanV2Provider
+ */
+DigitalOceanV2Provider = function() {
+    this.init.apply(this, arguments);
+};
+
+_.extend(DigitalOceanV2Provider.prototype, /** @lends DigitalOceanV2Provider.prototype */ {
+
+    /**
+     * @public
+     * @constructor
+     * @param {Object} options - `token`, `timeouts` (`power_off` and `snapshot`, in seconds),
+     *     `poll_interval` and `retry`, whose `api` policy's `timeout` limits each request.
+     */
+    'init': function(options) {
+        this._options = options;
+        this.api = new DigitalOceanV2Client(options.token, {
+            'endpoint': options.api_endpoint,
+            'timeout': retry.policies(options.retry).api.timeout
+        });
+    },
+
+    /**
+     * Converts a v2 droplet into the shape shared by every provider.
+     *
+     * @private
+     */
+    '_normalize': function(droplet) {
+        var networks = droplet.networks || {};
+        var address = function(version, type) {
+            var network = _.findWhere(networks[version] || [], {
+                'type': type
+            });
+            return network ? network.ip_address : null;
+        };
+        return {
+            'id': droplet.id,
+            'name': droplet.name,
+            'size_id': droplet.size_slug || (droplet.size ? droplet.size.slug : null),
+            'image_id': droplet.image ? droplet.image.id : null,
+            'region_id': droplet.region ? droplet.region.slug : null,
+            'backups_active': _.contains(droplet.features || [], 'backups'),
+            'ip_address': address('v4', 'public'),
+            'private_ip_address': address('v4', 'private'),
+            'ipv6_address': address('v6', 'public'),
+            'tags': droplet.tags || [],
+            'locked': droplet.locked,
+            'status': droplet.status,
+            'created_at': droplet.created_at,
+            'action_id': droplet.action_id
+        };
+    },
+
+    /**
+     * @public
+     */
+    'create': function(options, cb) {
+        var self = this,
+            attrs = {
+                'name': options.name,
+                'size': options.size,
+                'image': options.image,
+                'region': options.region,
+                'ssh_keys': _.compact(_.flatten([options.ssh_key_ids])),
+                'private_networking': !!options.private_networking,
+                'ipv6': !!options.ipv6
+            };
+        if (!_.isEmpty(options.tags)) {
+            attrs.tags = options.tags;
+        }
+        if (options.user_data) {
+            attrs.user_data = options.user_data;
+        }
+        this.api.dropletCreate(attrs, function(err, droplet) {
+            if (err) {
+                return cb(err);
+            }
+            cb(null, self._normalize(droplet));
+        });
+    },
+
+    /**
+     * @public
+     */
+    'get': function(id, cb) {
+        var self = this;
+        this.api.dropletGet(id, function(err, droplet) {
+            if (err) {
+                return cb(err);
+            }
+            cb(null, droplet ? self._normalize(droplet) : droplet);
+        });
+    },
+
+    /**
+     * @public
+     */
+    'list': function(cb) {
+        var self = this;
+        this.api.dropletGetAll(function(err, droplets) {
+            if (err) {
+                return cb(err);
+            }
+            cb(null, _.map(droplets, self._normalize, self));
+        });
+    },
+
+    /**
+     * @public
+     */
+    'destroy': function(id, cb) {
+        this.api.dropletDestroy(id, cb);
+    },
+
+    /**
+     * @public
+     */
+    'powerOff': function(id, cb) {
+        var self = this;
+        this.api.dropletPowerOff(id, function(err, action_id) {
+            if (err) {
+                return cb(err);
+            }
+            self._waitForAction(action_id, {
+                'timeout': self._options.timeouts.power_off,
+                'interval': self._options.poll_interval
+            }, function(err) {
+                cb(err);
+            });
+        });
+    },
+
+    /**
+     * @public
+     */
+    'snapshot': function(id, name, cb) {
+        var self = this;
+        this.api.dropletSnapshot(id, {
+            'name': name
+        }, function(err, action_id) {
+            if (err) {
+                return cb(err);
+            }
+            self._waitForAction(action_id, {
+                'timeout': self._options.timeouts.snapshot,
+                'interval': self._options.poll_interval
+            }, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                self.api.imageGetMine(function(err, images) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    return cb(null, _.last(_.where(images, {
+                        'name': name
+                    })) || {
+                        'id': null,
+                        'name': name
+                    });
+                });
+            });
+        });
+    },
+
+    /**
+     * Waits for the droplet's create action to complete, then fetches the droplet again so that its
+     * IP addresses are known.
+     *
+     * @public
+     */
+    'waitUntilReady': function(droplet, options, cb) {
+        var self = this;
+        var ready = function(err) {
+            if (err) {
+                return cb(err);
+            }
+            self.get(droplet.id, function(err, current) {
+                if (err || !current) {
+                    return cb(null, droplet);
+                }
+                return cb(null, current);
+            });
+        };
+        if (!droplet.action_id) {
+            return this._waitForStatus(droplet.id, options, ready);
+        }
+        this._waitForAction(droplet.action_id, options, ready);
+    },
+
+    /**
+     * Polls an action every 8 seconds (or `options.interval`) until it has completed.
+     *
+     * @private
+     * @param {Object} options - `timeout` and `interval` in seconds, and `on_poll({status, percentage},
+     * elapsed)`, called after each check. `status` is `done` once the action has completed.
+     */
+    '_waitForAction': function(action_id, options, cb) {
+        var self = this,
+            start = moment().unix(),
+            interval = (options.interval || 8) * 1000;
+        var check = function() {
+            self.api.actionGet(action_id, function(err, action) {
+                var elapsed = moment().unix() - start;
+                if (err) {
+                    return cb(err);
+                }
+                if (options.on_poll) {
+                    options.on_poll({
+                        'status': action.status === 'completed' ? 'done' : action.status,
+                        'percentage': null
+                    }, elapsed);
+                }
+                if (action.status === 'completed') {
+                    return cb(null, action);
+                }
+                if (action.status === 'errored') {
+                    return cb(new errors.ApiError('Action ' + action_id + ' (' + action.type + ') failed', {
+                        'action_id': action_id
+                    }));
+                }
+                if (elapsed >= options.timeout) {
+                    return cb(new errors.TimeoutError('Action ' + action_id + ' exceeded timeout of: ' + options.timeout, {
+                        'timeout': options.timeout
+                    }));
+                }
+                setTimeout(check, interval);
+            });
+        };
+        setTimeout(check, interval);
+    },
+
+    /**
+     * Polls a droplet every 8 seconds (or `options.interval`) until it's active. Used when the create
+     * action isn't known.
+     *
+     * @private
+     */
+    '_waitForStatus': function(id, options, cb) {
+        var self = this,
+            start = moment().unix(),
+            interval = (options.interval || 8) * 1000;
+        var check = function() {
+            self.api.dropletGet(id, function(err, droplet) {
+                var elapsed = moment().unix() - start;
+                if (err) {
+                    return cb(err);
+                }
+                if (options.on_poll) {
+                    options.on_poll({
+                        'status': droplet.status === 'active' ? 'done' : droplet.status,
+                        'percentage': null
+                    }, elapsed);
+                }
+                if (droplet.status === 'active') {
+                    return cb(null, droplet);
+                }
+                if (elapsed >= options.timeout) {
+                    return cb(new errors.TimeoutError('Droplet ' + id + ' exceeded timeout of: ' + options.timeout, {
+                        'timeout': options.timeout
+                    }));
+                }
+                setTimeout(check, interval);
+            });
+        };
+        setTimeout(check, interval);
+    }
+
+});
+
+module.exports = DigitalOceanV2Provider;
@@ -0,0 +1,179 @@
+var _ = require('underscore'),
+    async = require('async');
+
+/**
+ * Normalizes a droplet's `dns` option, which is either a domain name or `{domain, name, private_name}`.
+ * `name` defaults to the droplet's name and `private_name` to `<name>.private`; `private_name: false`
+ * skips the private record.
+ *
+ * @param {String|Object} dns
+ * @param {String} droplet_name
+ * @returns {Object}
+ */
+var normalize = function(dns, droplet_name) {
+    if (_.isString(dns)) {
+        dns = {
+            'domain': dns
+        };
+    }
+    dns = _.defaults({}, dns, {
+        'name': droplet_name
+    });
+    if (_.isUndefined(dns.private_name) || dns.private_name === null || dns.private_name === true) {
+        dns.private_name = dns.name + '.private';
+    }
+    return dns;
+};
+
+/**
+ * Returns a list of problems with a `dns` option, or an empty list if it's valid.
+ *
+ * @param {*} dns
+ * @returns {Array}
+ */
+var validate = function(dns) {
+    var errors = [];
+    if (_.isString(dns)) {
+        return dns ? [] : ['`dns` must not be empty'];
+    }
+    if (!_.isObject(dns) || _.isArray(dns)) {
+        return ['`dns` must be a domain name or an object'];
+    }
+    if (!_.isString(dns.domain) || !dns.domain) {
+        errors.push('`dns.domain` is required');
+    }
+    if (!_.isUndefined(dns.name) && !_.isString(dns.name)) {
+        errors.push('`dns.name` must be a string');
+    }
+    if (!_.isUndefined(dns.private_name) && !_.isString(dns.private_name) && !_.isBoolean(dns.private_name)) {
+        errors.push('`dns.private_name` must be a string or false');
+    }
+    return errors;
+};
+
+/**
+ * Returns the records a droplet should have: an A record for its public IP, an AAAA record for its
+ * IPv6 address and an A record for its private IP, if it has them.
+ *
+ * @param {Object} droplet
+ * @param {Object} dns - A normalized `dns` option.
+ * @returns {Array} `{domain, name, type, data}` objects.
+ */
+var recordsFor = function(droplet, dns) {
+    var records = [];
+    var add = function(name, type, data) {
+        if (name && data) {
+            records.push({
+                'domain': dns.domain,
+                'name': name,
+                'type': type,
+                'data': data
+            });
+        }
+    };
+    add(dns.name, 'A', droplet.ip_address);
+    add(dns.name, 'AAAA', droplet.ipv6_address);
+    add(dns.private_name, 'A', droplet.private_ip_address);
+    return records;
+};
+
+/**
+ * API v1 calls a record's type `record_type`, v2 calls it `type`.
+ *
+ * @private
+ */
+var typeOf = function(record) {
+    return record.record_type || record.type;
+};
+
+/**
+ * Creates each record, or updates the existing record with the same name and type (e.g. one left behind
+ * by a droplet this one replaces). Calls back with the records, including their `id`s.
+ *
+ * @param {Object} api - A DigitalOcean API client.
+ * @param {Array} records - As returned by `recordsFor()`.
+ */
+var upsert = function(api, records, cb) {
+    var existing = {};
+    async.mapSeries(records, function(record, next) {
+        var done = function(err, result) {
+            if (err) {
+                return next(err);
+            }
+            next(null, _.extend({}, record, {
+                'id': result.id
+            }));
+        };
+        var apply = function() {
+            var current = _.find(existing[record.domain], function(candidate) {
+                return candidate.name === record.name && typeOf(candidate) === record.type;
+            });
+            if (!current) {
+                return api.domainRecordNew(record.domain, record.type, record.data, {
+                    'name': record.name
+                }, done);
+            }
+            if (current.data === record.data) {
+                return done(null, current);
+            }
+            api.domainRecordEdit(record.domain, current.id, record.type, record.data, {
+                'name': record.name
+            }, done);
+        };
+        if (existing[record.domain]) {
+            return apply();
+        }
+        api.domainRecordGetAll(record.domain, function(err, domain_records) {
+            if (err) {
+                return next(err);
+            }
+            existing[record.domain] = domain_records || [];
+            apply();
+        });
+    }, cb);
+};
+
+/**
+ * Destroys records created by `upsert()`. Records that have since been pointed somewhere else (e.g. by
+ * a replacement droplet with the same name) or removed are left alone. Calls back with the records that
+ * were destroyed.
+ *
+ * @param {Object} api - A DigitalOcean API client.
+ * @param {Array} records - As returned by `upsert()`.
+ */
+var remove = function(api, records, cb) {
+    var removed = [];
+    async.eachSeries(_.uniq(_.pluck(records, 'domain')), function(domain, next) {
+        api.domainRecordGetAll(domain, function(err, domain_records) {
+            if (err) {
+                return next(err);
+            }
+            async.eachSeries(_.where(records, {
+                'domain': domain
+            }), function(record, next_record) {
+                var current = _.find(domain_records, function(candidate) {
+                    return String(candidate.id) === String(record.id);
+                });
+                if (!current || current.data !== record.data) {
+                    return next_record();
+                }
+                api.domainRecordDestroy(domain, record.id, function(err) {
+                    if (!err) {
+                        removed.push(record);
+                    }
+                    next_record(err);
+                });
+            }, next);
+        });
+    }, function(err) {
+        cb(err, removed);
+    });
+};
+
+module.exports = {
+    'normalize': normalize,
+    'validate': validate,
+    'recordsFor': recordsFor,
+    'upsert': upsert,
+    'remove': remove
+};
@@ -0,0 +1,215 @@
+var _ = require('underscore'),
+    util = require('util'),
+    MotorboatError;
+
+/**
+ * Base class of the errors Motorboat reports. Every error has a `code` that identifies its type, and
+ * may carry details as extra properties (e.g. `exit_code` for a `ScriptError`). `cause` is the error
+ * that led to this one, if there was one.
+ *
+ * `toString()` returns just the message, so that errors read the same as the strings they replace when
+ * they're logged or included in other messages.
+ *
+ * @class MotorboatError
+ */
+MotorboatError = function() {
+    this.init.apply(this, arguments);
+};
+
+util.inherits(MotorboatError, Error);
+
+_.extend(MotorboatError.prototype, /** @lends MotorboatError.prototype */ {
+
+    'name': 'MotorboatError',
+
+    'code': 'MOTORBOAT_ERROR',
+
+    /**
+     * @public
+     * @constructor
+     * @param {String} message
+     * @param {Object} [details]
+     */
+    'init': function(message, details) {
+        Error.captureStackTrace(this, this.constructor);
+        _.extend(this, _.omit(details || {}, 'name', 'code', 'message', 'stack'));
+        this.message = message;
+    },
+
+    /**
+     * @public
+     */
+    'toString': function() {
+        return this.message;
+    },
+
+    /**
+     * Describes the error as a plain object, e.g. for logging.
+     *
+     * @public
+     */
+    'toJSON': function() {
+        return _.extend({
+            'name': this.name,
+            'code': this.code,
+            'message': this.message
+        }, _.omit(this, 'stack', 'cause', 'report'), this.cause ? {
+            'cause': String(this.cause)
+        } : {});
+    }
+
+});
+
+/**
+ * Defines a subclass of `MotorboatError`.
+ *
+ * @private
+ */
+var define = function(name, code) {
+    var Type = function() {
+        this.init.apply(this, arguments);
+    };
+    util.inherits(Type, MotorboatError);
+    _.extend(Type.prototype, {
+        'name': name,
+        'code': code
+    });
+    return Type;
+};
+
+/**
+ * Invalid settings or options, or a request that can't be carried out as asked.
+ */
+var ValidationError = define('ValidationError', 'VALIDATION_ERROR');
+
+/**
+ * A droplet, host, script or state journal entry that doesn't exist.
+ */
+var NotFoundError = define('NotFoundError', 'NOT_FOUND');
+
+/**
+ * A failed cloud provider API call. `status` is the HTTP status, if there was a response.
+ */
+var ApiError = define('ApiError', 'API_ERROR');
+
+/**
+ * Something took longer than allowed. `timeout` is the limit, in seconds.
+ */
+var TimeoutError = define('TimeoutError', 'TIMEOUT');
+
+/**
+ * Copying files to, or connecting to run a command on, a droplet failed.
+ */
+var TransferError = define('TransferError', 'TRANSFER_FAILED');
+
+/**
+ * A host presented a key that doesn't match the one recorded for it, or no key is recorded for it (see
+ * `lib/known-hosts.js`). `host` is its address.
+ */
+var HostKeyError = define('HostKeyError', 'HOST_KEY_MISMATCH');
+
+/**
+ * A script or command ran, but exited with an error. Carries its `exit_code`, `stdout` and `stderr`,
+ * along with the `script` (or `command`) and the `instance_id` it ran against.
+ */
+var ScriptError = define('ScriptError', 'SCRIPT_FAILED');
+
+/**
+ * Returns the message of an error that may be a string, an `Error` or anything else.
+ *
+ * @private
+ */
+var messageOf = function(err) {
+    if (_.isString(err)) {
+        return err;
+    }
+    return err instanceof Error ? err.message : String(err);
+};
+
+/**
+ * Converts an error reported by code outside Motorboat's control (e.g. a third-party client, or a
+ * custom provider or transport) into a `Type` error. Errors that are already Motorboat errors are
+ * returned as they are.
+ *
+ * @param {*} err
+ * @param {Function} [Type] - Defaults to `MotorboatError`.
+ * @param {Object} [details]
+ * @returns {MotorboatError}
+ */
+var from = function(err, Type, details) {
+    if (err instanceof MotorboatError) {
+        return err;
+    }
+    return new (Type || MotorboatError)(messageOf(err), _.extend({}, details, err instanceof Error ? {
+        'cause': err
+    } : {}));
+};
+
+/**
+ * Returns an error of the same type and with the same details as `err`, but whose message is prefixed
+ * with `prefix`, to say what was being attempted.
+ *
+ * @param {*} err
+ * @param {String} prefix
+ * @returns {MotorboatError}
+ */
+var wrap = function(err, prefix) {
+    err = from(err);
+    return new err.constructor(prefix + ': ' + err.message, _.extend(_.omit(err, 'stack'), {
+        'cause': err
+    }));
+};
+
+/**
+ * Wraps a Node-style (callback last) function so that it always calls back with a Motorboat error,
+ * converting whatever its callees reported with `from()`.
+ *
+ * @param {Function} fn
+ * @param {Function} [Type] - The type errors are converted to, defaults to `MotorboatError`.
+ * @returns {Function}
+ */
+var typed = function(fn, Type) {
+    return function() {
+        var args = _.toArray(arguments),
+            cb = args.pop();
+        if (!_.isFunction(cb)) {
+            return fn.apply(this, arguments);
+        }
+        return fn.apply(this, args.concat([function(err) {
+            if (err) {
+                return cb.apply(null, [from(err, Type)].concat(_.rest(arguments)));
+            }
+            cb.apply(null, arguments);
+        }]));
+    };
+};
+
+/**
+ * Replaces the commands of an API client with versions that report failures as `ApiError`s.
+ *
+ * @param {Object} api
+ * @returns {Object}
+ */
+var apiClient = function(api) {
+    _.each(_.functions(api), function(command) {
+        if (command.charAt(0) !== '_') {
+            api[command] = typed(api[command].bind(api), ApiError);
+        }
+    });
+    return api;
+};
+
+module.exports = {
+    'MotorboatError': MotorboatError,
+    'ValidationError': ValidationError,
+    'NotFoundError': NotFoundError,
+    'ApiError': ApiError,
+    'TimeoutError': TimeoutError,
+    'TransferError': TransferError,
+    'HostKeyError': HostKeyError,
+    'ScriptError': ScriptError,
+    'from': from,
+    'wrap': wrap,
+    'typed': typed,
+    'apiClient': apiClient
+};
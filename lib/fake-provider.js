@@ -0,0 +1,222 @@
+var _ = require('underscore'),
+    crypto = require('crypto'),
+    moment = require('moment'),
+    errors = require('./errors'),
+    FakeProvider;
+
+/**
+ * In-memory cloud provider that simulates droplet lifecycles, so that provisioning flows can be run
+ * offline (e.g. in tests). Droplets start out as `new` and become `active` after `boot_time`
+ * milliseconds. See `lib/digital-ocean-provider.js` for the provider interface.
+ *
+ * Failures can be simulated with `failNext(method, error)`. They're reported as `ApiError`s, unless
+ * `error` is already a Motorboat error (see `lib/errors.js`).
+ *
+ * @class FakeProvider
+ */
+FakeProvider = function() {
+    this.init.apply(this, arguments);
+};
+
+_.extend(FakeProvider.prototype, /** @lends FakeProvider.prototype */ {
+
+    /**
+     * @public
+     * @constructor
+     * @param {Object} [options] - `boot_time` and `poll_interval`, in milliseconds.
+     */
+    'init': function(options) {
+        options = options || {};
+        _.defaults(options, {
+            'boot_time': 50,
+            'poll_interval': 10
+        });
+        this._options = options;
+        this._nextId = 1;
+        this._failures = {};
+        this.droplets = {};
+        this.images = [];
+    },
+
+    /**
+     * Makes the next call to `method` fail with `error`.
+     *
+     * @public
+     */
+    'failNext': function(method, error) {
+        this._failures[method] = error || 'Simulated ' + method + ' failure';
+    },
+
+    /**
+     * Calls back asynchronously, like a real provider would, failing instead if `failNext()` asked.
+     *
+     * @private
+     */
+    '_respond': function(method, cb, result) {
+        var error = this._failures[method];
+        delete this._failures[method];
+        setImmediate(function() {
+            if (error) {
+                return cb(errors.from(error, errors.ApiError));
+            }
+            cb(null, result);
+        });
+    },
+
+    /**
+     * @private
+     */
+    '_find': function(id) {
+        return this.droplets[String(id)];
+    },
+
+    /**
+     * @public
+     */
+    'create': function(options, cb) {
+        var self = this,
+            id = this._nextId++,
+            droplet = {
+                'id': id,
+                'name': options.name,
+                'size_id': options.size,
+                'image_id': options.image,
+                'region_id': options.region,
+                'backups_active': false,
+                'ip_address': '192.0.2.' + id,
+                'private_ip_address': options.private_networking ? '10.128.0.' + id : null,
+                'ipv6_address': options.ipv6 ? '2001:db8::' + id : null,
+                'tags': options.tags || [],
+                'user_data': options.user_data || null,
+                'locked': false,
+                'status': 'new',
+                'created_at': moment().format()
+            };
+        if (!this._failures.create) {
+            this.droplets[String(id)] = droplet;
+            setTimeout(function() {
+                if (droplet.status === 'new') {
+                    droplet.status = 'active';
+                }
+            }, this._options.boot_time);
+        }
+        this._respond('create', cb, _.clone(droplet));
+    },
+
+    /**
+     * @public
+     */
+    'get': function(id, cb) {
+        var droplet = this._find(id);
+        if (!droplet && !this._failures.get) {
+            this._failures.get = new errors.NotFoundError('Droplet ' + id + ' not found');
+        }
+        this._respond('get', cb, _.clone(droplet));
+    },
+
+    /**
+     * @public
+     */
+    'list': function(cb) {
+        this._respond('list', cb, _.map(this.droplets, _.clone));
+    },
+
+    /**
+     * @public
+     */
+    'destroy': function(id, cb) {
+        if (!this._failures.destroy) {
+            delete this.droplets[String(id)];
+        }
+        this._respond('destroy', cb);
+    },
+
+    /**
+     * @public
+     */
+    'powerOff': function(id, cb) {
+        var droplet = this._find(id);
+        if (droplet && !this._failures.powerOff) {
+            droplet.status = 'off';
+        }
+        this._respond('powerOff', cb);
+    },
+
+    /**
+     * @public
+     */
+    'snapshot': function(id, name, cb) {
+        var droplet = this._find(id),
+            image = {
+                'id': 1000 + this.images.length,
+                'name': name,
+                'droplet_id': id,
+                'distribution': droplet ? droplet.image_id : null
+            };
+        if (!this._failures.snapshot) {
+            this.images.push(image);
+        }
+        this._respond('snapshot', cb, image);
+    },
+
+    /**
+     * @public
+     */
+    'waitUntilReady': function(droplet, options, cb) {
+        var self = this,
+            start = moment().unix();
+        var check = function() {
+            var current = self._find(droplet.id),
+                elapsed = moment().unix() - start;
+            if (!current) {
+                return cb(new errors.NotFoundError('Droplet ' + droplet.id + ' no longer exists'));
+            }
+            if (options.on_poll) {
+                options.on_poll({
+                    'status': current.status === 'active' ? 'done' : 'pending',
+                    'percentage': current.status === 'active' ? '100' : '50'
+                }, elapsed);
+            }
+            if (current.status === 'active') {
+                return self._respond('waitUntilReady', cb, _.clone(current));
+            }
+            if (elapsed >= options.timeout) {
+                return cb(new errors.TimeoutError('Droplet ' + droplet.id + ' exceeded timeout of: ' + options.timeout, {
+                    'timeout': options.timeout
+                }));
+            }
+            setTimeout(check, options.interval ? options.interval * 1000 : self._options.poll_interval);
+        };
+        check();
+    },
+
+    /**
+     * Fake droplets have no SSH server, so they're always considered reachable.
+     *
+     * @public
+     */
+    'waitForSsh': function(droplet, cb) {
+        this._respond('waitForSsh', cb, droplet);
+    },
+
+    /**
+     * Simulates reading a droplet's host key from its console output. Each fake droplet has an ed25519
+     * key derived from its ID.
+     *
+     * @public
+     */
+    'hostKeys': function(droplet, cb) {
+        var type = new Buffer('ssh-ed25519'),
+            key = crypto.createHash('sha256').update('fake-droplet-' + droplet.id).digest(),
+            lengths = new Buffer(8);
+        lengths.writeUInt32BE(type.length, 0);
+        lengths.writeUInt32BE(key.length, 4);
+        this._respond('hostKeys', cb, [{
+            'type': 'ssh-ed25519',
+            'key': Buffer.concat([lengths.slice(0, 4), type, lengths.slice(4), key]).toString('base64')
+        }]);
+    }
+
+});
+
+module.exports = FakeProvider;
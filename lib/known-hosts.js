@@ -0,0 +1,245 @@
+var _ = require('underscore'),
+    crypto = require('crypto'),
+    fs = require('fs'),
+    path = require('path'),
+    shell = require('shelljs'),
+    KnownHosts;
+
+/**
+ * Droplets' lines in the known_hosts file end with this prefix and their ID.
+ */
+var DROPLET_COMMENT = 'motorboat-droplet-';
+
+/**
+ * A known_hosts file, in OpenSSH's format, that Motorboat keeps the host keys of the droplets it creates
+ * in. As it's an ordinary known_hosts file, `ssh`, `scp` and `rsync` can verify hosts against it
+ * (`-o UserKnownHostsFile=...`) just as the ssh2 transport does. Each of a droplet's lines ends with a
+ * `motorboat-droplet-<id>` comment, so that they can be removed when it's destroyed:
+ *
+ * ```
+ * 192.0.2.10 ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAA... motorboat-droplet-2716503
+ * ```
+ *
+ * Keys may also be looked up in other, read-only known_hosts files (e.g. `~/.ssh/known_hosts`, for hosts
+ * that weren't created by Motorboat), which may contain hashed host names.
+ *
+ * @class KnownHosts
+ */
+KnownHosts = function() {
+    this.init.apply(this, arguments);
+};
+
+/**
+ * Where the known_hosts file is kept, relative to the working directory, unless the `known_hosts`
+ * setting says otherwise.
+ *
+ * @static
+ */
+KnownHosts.DEFAULT_FILE = '.motorboat/known_hosts';
+
+/**
+ * Returns the path of the user's own known_hosts file, `~/.ssh/known_hosts`, or null if there's no home
+ * folder.
+ *
+ * @static
+ * @returns {String}
+ */
+KnownHosts.userFile = function() {
+    var home = process.env.HOME || process.env.USERPROFILE;
+    return home ? path.join(home, '.ssh', 'known_hosts') : null;
+};
+
+/**
+ * Returns the name a host is recorded under: its address, or `[address]:port` if it isn't on port 22.
+ *
+ * @static
+ * @param {String} host
+ * @param {Number} [port]
+ * @returns {String}
+ */
+KnownHosts.hostName = function(host, port) {
+    if (port && Number(port) !== 22) {
+        return '[' + host + ']:' + port;
+    }
+    return host;
+};
+
+/**
+ * Parses a line of a known_hosts file (or of `ssh-keyscan`'s output) into `{hosts, type, key, comment}`,
+ * or returns null for blank lines, comments and lines with markers such as `@revoked`.
+ *
+ * @static
+ * @param {String} line
+ * @returns {Object}
+ */
+KnownHosts.parse = function(line) {
+    var fields = line.trim().split(/\s+/);
+    if (fields.length < 3 || fields[0].charAt(0) === '#' || fields[0].charAt(0) === '@') {
+        return null;
+    }
+    return {
+        'hosts': fields[0],
+        'type': fields[1],
+        'key': fields[2],
+        'comment': fields.slice(3).join(' ') || null
+    };
+};
+
+/**
+ * Returns a key's fingerprint in the format `ssh-keygen -l` prints, e.g. `SHA256:nThbg6kX...`.
+ *
+ * @static
+ * @param {String} key - The base64-encoded key.
+ * @returns {String}
+ */
+KnownHosts.fingerprint = function(key) {
+    return 'SHA256:' + crypto.createHash('sha256').update(new Buffer(key, 'base64')).digest('base64').replace(/=+$/, '');
+};
+
+/**
+ * Whether the host names field of a known_hosts line (a comma-separated list, or a single hashed name)
+ * includes `name`.
+ *
+ * @private
+ */
+var matches = function(hosts, name) {
+    var parts;
+    if (hosts.indexOf('|1|') === 0) {
+        parts = hosts.split('|');
+        return crypto.createHmac('sha1', new Buffer(parts[2], 'base64')).update(name).digest('base64') === parts[3];
+    }
+    return hosts.split(',').indexOf(name) >= 0;
+};
+
+_.extend(KnownHosts.prototype, /** @lends KnownHosts.prototype */ {
+
+    /**
+     * @public
+     * @constructor
+     * @param {String} file - Path to the known_hosts file. It's created when first written.
+     * @param {Array} [read_only_files] - Other known_hosts files that keys are looked up in.
+     */
+    'init': function(file, read_only_files) {
+        this._file = path.resolve(file);
+        this._readOnlyFiles = read_only_files || [];
+    },
+
+    /**
+     * Reads a known_hosts file, which is read afresh each time as other processes (or another
+     * provisioner, through its transport) may have changed it.
+     *
+     * @private
+     */
+    '_read': function(file) {
+        if (!fs.existsSync(file)) {
+            return [];
+        }
+        return fs.readFileSync(file, 'utf8').split('\n');
+    },
+
+    /**
+     * Written synchronously so that droplets provisioned in parallel can't interleave partial writes.
+     *
+     * @private
+     */
+    '_write': function(lines) {
+        shell.mkdir('-p', path.dirname(this._file));
+        fs.writeFileSync(this._file, _.compact(lines).join('\n') + '\n');
+    },
+
+    /**
+     * Returns the keys recorded for a host, `[{type, key, comment}]`, from this file and then the
+     * read-only files.
+     *
+     * @public
+     * @param {String} host
+     * @param {Number} [port]
+     * @returns {Array}
+     */
+    'get': function(host, port) {
+        var name = KnownHosts.hostName(host, port);
+        return _.flatten(_.map([this._file].concat(this._readOnlyFiles), function(file) {
+            return _.filter(_.map(this._read(file), KnownHosts.parse), function(entry) {
+                return entry && matches(entry.hosts, name);
+            });
+        }, this), true);
+    },
+
+    /**
+     * Whether a droplet's keys have been recorded for the address it's at.
+     *
+     * @public
+     * @param {String} host
+     * @param {Number} [port]
+     * @param {Number|String} droplet_id
+     * @returns {Boolean}
+     */
+    'has': function(host, port, droplet_id) {
+        return _.some(this.get(host, port), function(entry) {
+            return entry.comment === DROPLET_COMMENT + droplet_id;
+        });
+    },
+
+    /**
+     * Records a droplet's keys, replacing any recorded for the same address, e.g. for a droplet destroyed
+     * outside Motorboat whose address has been reused. Returns how many lines were replaced.
+     *
+     * @public
+     * @param {String} host
+     * @param {Number} [port]
+     * @param {Array} keys - `[{type, key}]`
+     * @param {Number|String} droplet_id
+     * @returns {Number}
+     */
+    'set': function(host, port, keys, droplet_id) {
+        var name = KnownHosts.hostName(host, port),
+            lines = this._read(this._file),
+            kept = _.reject(lines, function(line) {
+                var entry = KnownHosts.parse(line);
+                return entry && matches(entry.hosts, name);
+            });
+        this._write(kept.concat(_.map(keys, function(key) {
+            return [name, key.type, key.key, DROPLET_COMMENT + droplet_id].join(' ');
+        })));
+        return _.compact(lines).length - _.compact(kept).length;
+    },
+
+    /**
+     * Removes a droplet's keys. Returns how many lines were removed.
+     *
+     * @public
+     * @param {Number|String} droplet_id
+     * @returns {Number}
+     */
+    'removeDroplet': function(droplet_id) {
+        var lines = this._read(this._file),
+            kept = _.reject(lines, function(line) {
+                var entry = KnownHosts.parse(line);
+                return entry && entry.comment === DROPLET_COMMENT + droplet_id;
+            });
+        if (kept.length < lines.length) {
+            this._write(kept);
+        }
+        return lines.length - kept.length;
+    },
+
+    /**
+     * Whether a key presented by a host matches one recorded for it. `digest` is the key's hash, as ssh2
+     * provides it.
+     *
+     * @public
+     * @param {String} host
+     * @param {Number} [port]
+     * @param {String} digest - The hex-encoded hash of the key.
+     * @param {String} [algorithm] - The hash algorithm, `sha1` by default.
+     * @returns {Boolean}
+     */
+    'verify': function(host, port, digest, algorithm) {
+        return _.some(this.get(host, port), function(entry) {
+            return crypto.createHash(algorithm || 'sha1').update(new Buffer(entry.key, 'base64')).digest('hex') === digest;
+        });
+    }
+
+});
+
+module.exports = KnownHosts;
@@ -0,0 +1,193 @@
+var _ = require('underscore'),
+    dns = require('./dns'),
+    errors = require('./errors'),
+    fs = require('fs'),
+    path = require('path'),
+    yaml = require('js-yaml');
+
+/**
+ * Options that may appear on each entry in a manifest's `droplets` list. These map directly onto the
+ * options accepted by `DigitalOceanProvisioner#provision()`.
+ */
+var DROPLET_KEYS = ['name', 'size', 'image', 'region', 'private_networking', 'ipv6', 'tags', 'user_data', 'scripts',
+    'folders', 'vars', 'env', 'on_failure', 'bootstrap', 'dns'];
+
+/**
+ * Accepted values for the `on_failure` provisioning option.
+ */
+var FAILURE_POLICIES = ['keep', 'destroy', 'snapshot-then-destroy'];
+
+/**
+ * Accepted values for the `bootstrap` provisioning option: scripts are either copied to the droplet and
+ * run over SSH once it's reachable, or passed to cloud-init as user data (see `lib/cloud-init.js`).
+ */
+var BOOTSTRAP_MODES = ['ssh', 'cloud-init'];
+
+/**
+ * Parses the contents of a manifest file. Files ending in `.yml` or `.yaml` are parsed as YAML, all
+ * others as JSON.
+ *
+ * @private
+ */
+var parse = function(file, contents) {
+    var ext = path.extname(file).toLowerCase();
+    if (ext === '.yml' || ext === '.yaml') {
+        return yaml.safeLoad(contents);
+    }
+    return JSON.parse(contents);
+};
+
+/**
+ * Validates a parsed manifest, returning a list of problems (empty if the manifest is valid).
+ *
+ * @param {Object} manifest
+ * @returns {Array}
+ */
+var validate = function(manifest) {
+    var errors = [],
+        names = [];
+    if (!_.isObject(manifest) || _.isArray(manifest)) {
+        return ['manifest must be an object'];
+    }
+    if (!_.isUndefined(manifest.defaults) && (!_.isObject(manifest.defaults) || _.isArray(manifest.defaults))) {
+        errors.push('`defaults` must be an object');
+    }
+    if (!_.isArray(manifest.droplets) || _.isEmpty(manifest.droplets)) {
+        errors.push('`droplets` must be a non-empty list');
+        return errors;
+    }
+    _.each(manifest.droplets, function(droplet, idx) {
+        var prefix = 'droplets[' + idx + ']';
+        if (!_.isObject(droplet) || _.isArray(droplet)) {
+            return errors.push(prefix + ' must be an object');
+        }
+        droplet = _.defaults({}, droplet, manifest.defaults);
+        if (droplet.name) {
+            prefix = prefix + ' (' + droplet.name + ')';
+        }
+        _.each(_.difference(_.keys(droplet), DROPLET_KEYS), function(key) {
+            errors.push(prefix + ': unknown option `' + key + '`');
+        });
+        _.each(['name', 'size', 'image', 'region'], function(key) {
+            if (_.isUndefined(droplet[key]) || droplet[key] === null || droplet[key] === '') {
+                errors.push(prefix + ': `' + key + '` is required');
+            }
+        });
+        if (droplet.name) {
+            if (names.indexOf(droplet.name) >= 0) {
+                errors.push(prefix + ': duplicate droplet name `' + droplet.name + '`');
+            }
+            names.push(droplet.name);
+        }
+        _.each(['private_networking', 'ipv6'], function(key) {
+            if (!_.isUndefined(droplet[key]) && !_.isBoolean(droplet[key])) {
+                errors.push(prefix + ': `' + key + '` must be true or false');
+            }
+        });
+        if (!_.isUndefined(droplet.tags)) {
+            if (!_.isArray(droplet.tags) || !_.every(droplet.tags, _.isString)) {
+                errors.push(prefix + ': `tags` must be a list of tag names');
+            }
+        }
+        if (!_.isUndefined(droplet.user_data) && !_.isString(droplet.user_data)) {
+            errors.push(prefix + ': `user_data` must be a string');
+        }
+        if (!_.isUndefined(droplet.scripts)) {
+            if (!_.isArray(droplet.scripts) || !_.every(droplet.scripts, _.isString)) {
+                errors.push(prefix + ': `scripts` must be a list of script names');
+            }
+        }
+        if (!_.isUndefined(droplet.on_failure) && FAILURE_POLICIES.indexOf(droplet.on_failure) < 0) {
+            errors.push(prefix + ': `on_failure` must be one of: ' + FAILURE_POLICIES.join(', '));
+        }
+        if (!_.isUndefined(droplet.bootstrap) && BOOTSTRAP_MODES.indexOf(droplet.bootstrap) < 0) {
+            errors.push(prefix + ': `bootstrap` must be one of: ' + BOOTSTRAP_MODES.join(', '));
+        }
+        if (!_.isUndefined(droplet.dns)) {
+            _.each(dns.validate(droplet.dns), function(error) {
+                errors.push(prefix + ': ' + error);
+            });
+        }
+        _.each(['vars', 'env'], function(key) {
+            if (!_.isUndefined(droplet[key]) && (!_.isObject(droplet[key]) || _.isArray(droplet[key]))) {
+                errors.push(prefix + ': `' + key + '` must be an object');
+            }
+        });
+        if (!_.isUndefined(droplet.folders)) {
+            if (!_.isArray(droplet.folders)) {
+                errors.push(prefix + ': `folders` must be a list');
+            } else {
+                _.each(droplet.folders, function(folder, folder_idx) {
+                    if (!_.isObject(folder) || !_.isString(folder.source) || !_.isString(folder.destination)) {
+                        errors.push(prefix + ': folders[' + folder_idx + '] must have a `source` and a `destination`');
+                    }
+                });
+            }
+        }
+    });
+    return errors;
+};
+
+/**
+ * Expands a validated manifest into the list of droplet options expected by `provision()`. `defaults`
+ * are applied to each droplet (`vars` and `env` are merged rather than replaced) and folder sources are
+ * resolved relative to the manifest's directory.
+ *
+ * @param {Object} manifest
+ * @param {String} base_dir
+ * @returns {Array}
+ */
+var expand = function(manifest, base_dir) {
+    var defaults = manifest.defaults || {};
+    return _.map(manifest.droplets, function(droplet) {
+        droplet = _.defaults({}, droplet, defaults);
+        _.each(['vars', 'env'], function(key) {
+            if (defaults[key] || droplet[key]) {
+                droplet[key] = _.extend({}, defaults[key], droplet[key]);
+            }
+        });
+        if (_.isArray(droplet.folders)) {
+            droplet.folders = _.map(droplet.folders, function(folder) {
+                return _.extend({}, folder, {
+                    'source': path.resolve(base_dir, folder.source)
+                });
+            });
+        }
+        return droplet;
+    });
+};
+
+/**
+ * Loads, validates and expands a JSON or YAML stack manifest.
+ *
+ * @param {String} file - Path to the manifest.
+ * @param {Function} cb - Called with (err, droplets), where `droplets` is a list of `provision()` options.
+ */
+var load = function(file, cb) {
+    file = path.resolve(file);
+    fs.readFile(file, 'utf8', function(err, contents) {
+        var manifest,
+            invalid;
+        if (err) {
+            return cb(errors.wrap(err, 'Unable to read manifest (' + file + ')'));
+        }
+        try {
+            manifest = parse(file, contents);
+        } catch (e) {
+            return cb(new errors.ValidationError('Unable to parse manifest (' + file + '): ' + e.message));
+        }
+        invalid = validate(manifest);
+        if (!_.isEmpty(invalid)) {
+            return cb(new errors.ValidationError('Invalid manifest (' + file + '): ' + invalid.join('; ')));
+        }
+        return cb(null, expand(manifest, path.dirname(file)));
+    });
+};
+
+module.exports = {
+    'FAILURE_POLICIES': FAILURE_POLICIES,
+    'BOOTSTRAP_MODES': BOOTSTRAP_MODES,
+    'load': load,
+    'validate': validate,
+    'expand': expand
+};
@@ -0,0 +1,155 @@
+var _ = require('underscore'),
+    _string = require('underscore.string');
+
+_.mixin(_string.exports());
+
+/**
+ * Droplet attributes that can't be changed in place. When any of these differ between the desired
+ * options and an existing droplet of the same name, the droplet is replaced.
+ */
+var ATTRIBUTES = [
+    {
+        'option': 'size',
+        'field': 'size_id'
+    },
+    {
+        'option': 'image',
+        'field': 'image_id'
+    },
+    {
+        'option': 'region',
+        'field': 'region_id'
+    }
+];
+
+/**
+ * Returns a list of `{attribute, from, to}` changes between a desired droplet and an existing one.
+ *
+ * @private
+ */
+var diff = function(desired, existing) {
+    var changes = [];
+    _.each(ATTRIBUTES, function(attr) {
+        if (_.isUndefined(desired[attr.option]) || desired[attr.option] === null) {
+            return;
+        }
+        if (String(desired[attr.option]) !== String(existing[attr.field])) {
+            changes.push({
+                'attribute': attr.option,
+                'from': existing[attr.field],
+                'to': desired[attr.option]
+            });
+        }
+    });
+    return changes;
+};
+
+/**
+ * Computes the actions required to bring a set of existing droplets in line with a desired set,
+ * matching droplets by name.
+ *
+ * - `create` - desired droplets that don't exist yet
+ * - `keep` - existing droplets that already match
+ * - `replace` - existing droplets whose size, image or region differ
+ * - `destroy` - duplicate droplets sharing a desired name and, if `options.prune` is set, every
+ *   droplet not named in the desired set
+ *
+ * @param {Array} desired - A list of `provision()` options.
+ * @param {Array} existing - Droplets as returned by `dropletGetAll`.
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+var compute = function(desired, existing, options) {
+    options = options || {};
+    var plan = {
+            'create': [],
+            'keep': [],
+            'replace': [],
+            'destroy': []
+        },
+        names = _.pluck(desired, 'name');
+    _.each(desired, function(droplet) {
+        var matches = _.where(existing, {
+                'name': droplet.name
+            }),
+            current = _.first(matches),
+            changes;
+        _.each(_.rest(matches), function(duplicate) {
+            plan.destroy.push({
+                'droplet': duplicate,
+                'reason': 'duplicate'
+            });
+        });
+        if (!current) {
+            return plan.create.push({
+                'options': droplet
+            });
+        }
+        changes = diff(droplet, current);
+        if (_.isEmpty(changes)) {
+            return plan.keep.push({
+                'options': droplet,
+                'droplet': current
+            });
+        }
+        plan.replace.push({
+            'options': droplet,
+            'droplet': current,
+            'changes': changes
+        });
+    });
+    if (options.prune) {
+        _.each(existing, function(droplet) {
+            if (names.indexOf(droplet.name) < 0) {
+                plan.destroy.push({
+                    'droplet': droplet,
+                    'reason': 'not in desired set'
+                });
+            }
+        });
+    }
+    return plan;
+};
+
+/**
+ * Returns true if applying the plan would change anything.
+ *
+ * @param {Object} plan
+ * @returns {Boolean}
+ */
+var hasChanges = function(plan) {
+    return !_.isEmpty(plan.create) || !_.isEmpty(plan.replace) || !_.isEmpty(plan.destroy);
+};
+
+/**
+ * Renders a plan as a human-readable diff.
+ *
+ * @param {Object} plan
+ * @returns {String}
+ */
+var format = function(plan) {
+    var lines = [];
+    _.each(plan.create, function(item) {
+        lines.push(_.sprintf('+ create  %s (size %s, image %s, region %s)', item.options.name, item.options.size, item.options.image, item.options.region));
+    });
+    _.each(plan.replace, function(item) {
+        var changes = _.map(item.changes, function(change) {
+            return _.sprintf('%s %s => %s', change.attribute, change.from, change.to);
+        });
+        lines.push(_.sprintf('~ replace %s (#%s): %s', item.options.name, item.droplet.id, changes.join(', ')));
+    });
+    _.each(plan.destroy, function(item) {
+        lines.push(_.sprintf('- destroy %s (#%s): %s', item.droplet.name, item.droplet.id, item.reason));
+    });
+    _.each(plan.keep, function(item) {
+        lines.push(_.sprintf('= keep    %s (#%s)', item.options.name, item.droplet.id));
+    });
+    lines.push(_.sprintf('Plan: %s to create, %s to replace, %s to destroy, %s unchanged.', plan.create.length, plan.replace.length, plan.destroy.length, plan.keep.length));
+    return lines.join('\n');
+};
+
+module.exports = {
+    'compute': compute,
+    'hasChanges': hasChanges,
+    'format': format
+};
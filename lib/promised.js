@@ -0,0 +1,26 @@
+var _ = require('underscore'),
+    Q = require('q');
+
+/**
+ * Wraps a Node-style (callback last) function so that it returns a Q promise when it's called without
+ * a callback. When a callback is passed, the wrapped function is called as-is.
+ *
+ * @param {Function} fn
+ * @returns {Function}
+ */
+module.exports = function(fn) {
+    return function() {
+        var args = _.toArray(arguments),
+            deferred;
+        if (_.isFunction(_.last(args))) {
+            return fn.apply(this, args);
+        }
+        while (args.length && _.isUndefined(_.last(args))) {
+            args.pop();
+        }
+        deferred = Q.defer();
+        args.push(deferred.makeNodeResolver());
+        fn.apply(this, args);
+        return deferred.promise;
+    };
+};
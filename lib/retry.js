@@ -0,0 +1,216 @@
+var _ = require('underscore'),
+    errors = require('./errors');
+
+/**
+ * Retry policies for each kind of operation, overridden by the `retry` setting. Each policy has:
+ *
+ * - `retries` - how many times a failed attempt is retried
+ * - `min_delay`, `max_delay` - seconds to wait before the first retry, and at most before any retry
+ * - `factor` - how much the delay grows after each retry
+ * - `jitter` - whether delays are randomized (between half and all of the computed delay), so that
+ *   many droplets retrying at once don't do so in lockstep
+ * - `timeout` - seconds after which an attempt is abandoned and counted as failed, or 0 for no limit
+ *
+ * Only read-only API calls are retried or timed out, as retrying a call that creates or changes
+ * something could repeat it, and abandoning one could lose track of what it did (e.g. a droplet that was
+ * created after all). Commands run over SSH aren't retried by default for the same reason.
+ */
+var DEFAULT_POLICIES = {
+    'api': {
+        'retries': 4,
+        'min_delay': 2,
+        'max_delay': 30,
+        'factor': 2,
+        'jitter': true,
+        'timeout': 60
+    },
+    'upload': {
+        'retries': 10,
+        'min_delay': 5,
+        'max_delay': 120,
+        'factor': 2,
+        'jitter': true,
+        'timeout': 300
+    },
+    'copy_folder': {
+        'retries': 3,
+        'min_delay': 5,
+        'max_delay': 120,
+        'factor': 2,
+        'jitter': true,
+        'timeout': 0
+    },
+    'exec': {
+        'retries': 0,
+        'min_delay': 5,
+        'max_delay': 60,
+        'factor': 2,
+        'jitter': true,
+        'timeout': 0
+    },
+    'host_key': {
+        'retries': 5,
+        'min_delay': 2,
+        'max_delay': 30,
+        'factor': 2,
+        'jitter': true,
+        'timeout': 60
+    }
+};
+
+/**
+ * Wraps a callback so that only its first invocation has any effect.
+ *
+ * @param {Function} cb
+ * @returns {Function}
+ */
+var once = function(cb) {
+    var called = false;
+    return function() {
+        if (called) {
+            return;
+        }
+        called = true;
+        cb.apply(this, arguments);
+    };
+};
+
+/**
+ * Merges the `retry` setting into the default policies.
+ *
+ * @param {Object} [overrides] - Policies (or parts of them) keyed by operation.
+ * @returns {Object}
+ */
+var policies = function(overrides) {
+    overrides = overrides || {};
+    return _.object(_.map(DEFAULT_POLICIES, function(policy, operation) {
+        return [operation, _.defaults({}, overrides[operation], policy)];
+    }));
+};
+
+/**
+ * Returns a list of problems with the `retry` setting, or an empty list if it's valid.
+ *
+ * @param {Object} overrides
+ * @returns {Array}
+ */
+var validate = function(overrides) {
+    var errors = [];
+    if (!_.isObject(overrides) || _.isArray(overrides)) {
+        return ['`retry` must be an object'];
+    }
+    _.each(overrides, function(policy, operation) {
+        if (!DEFAULT_POLICIES[operation]) {
+            return errors.push('Unknown `retry` operation `' + operation + '`, expected one of: ' + _.keys(DEFAULT_POLICIES).join(', '));
+        }
+        _.each(['retries', 'min_delay', 'max_delay', 'factor', 'timeout'], function(key) {
+            if (!_.isUndefined(policy[key]) && !(_.isNumber(policy[key]) && policy[key] >= 0)) {
+                errors.push('`retry.' + operation + '.' + key + '` must be a number, 0 or more');
+            }
+        });
+    });
+    return errors;
+};
+
+/**
+ * Returns how long to wait, in milliseconds, before retry number `retry` (starting at 1).
+ *
+ * @param {Object} policy
+ * @param {Number} retry
+ * @returns {Number}
+ */
+var delay = function(policy, retry) {
+    var seconds = Math.min(policy.max_delay, policy.min_delay * Math.pow(policy.factor, retry - 1));
+    if (policy.jitter) {
+        seconds = seconds / 2 + Math.random() * seconds / 2;
+    }
+    return Math.round(seconds * 1000);
+};
+
+/**
+ * Calls `fn(done)` until it succeeds or the policy's retries run out, then calls `cb` exactly once with
+ * the result of the last attempt. Attempts that time out fail with a `TimeoutError`, and their results
+ * are ignored. `fn` may return an object with an `abort()` method, e.g. one that kills the process the
+ * attempt started, which is called when the attempt times out. A `HostKeyError` isn't retried, as trying
+ * again won't change the host's key.
+ *
+ * @param {Object} policy
+ * @param {Function} fn
+ * @param {Function} [on_retry] - Called with `(err, retry, delay_ms)` before each retry.
+ * @param {Function} cb
+ */
+var attempt = function(policy, fn, on_retry, cb) {
+    var retries = 0;
+    if (!cb) {
+        cb = on_retry;
+        on_retry = null;
+    }
+    cb = once(cb);
+    var run = function() {
+        var timer = null,
+            handle = null;
+        var done = once(function(err) {
+            var args = arguments,
+                wait;
+            clearTimeout(timer);
+            if (!err || retries >= policy.retries || err instanceof errors.HostKeyError) {
+                return cb.apply(null, args);
+            }
+            retries++;
+            wait = delay(policy, retries);
+            if (on_retry) {
+                on_retry(err, retries, wait);
+            }
+            setTimeout(run, wait);
+        });
+        if (policy.timeout) {
+            timer = setTimeout(function() {
+                done(new errors.TimeoutError('Timed out after ' + policy.timeout + 's', {
+                    'timeout': policy.timeout
+                }));
+                if (handle && _.isFunction(handle.abort)) {
+                    handle.abort();
+                }
+            }, policy.timeout * 1000);
+        }
+        handle = fn(done);
+    };
+    run();
+};
+
+/**
+ * Replaces the read-only commands of an API client (those ending in `Get`, `GetAll` or `GetMine`) with
+ * versions that retry and time out according to `policy`.
+ *
+ * @param {Object} api
+ * @param {Object} policy
+ * @param {Function} [on_retry] - Called with `(command, err, retry, delay_ms)` before each retry.
+ */
+var wrapClient = function(api, policy, on_retry) {
+    _.each(_.functions(api), function(command) {
+        var original = api[command];
+        if (!/Get(All|Mine)?$/.test(command) || original.with_retries) {
+            return;
+        }
+        api[command] = function() {
+            var args = _.toArray(arguments),
+                cb = args.pop();
+            attempt(policy, function(done) {
+                return original.apply(api, args.concat([done]));
+            }, on_retry && _.partial(on_retry, command), cb);
+        };
+        // Marks the command as wrapped, so that a client shared by several provisioners is only wrapped once
+        api[command].with_retries = true;
+    });
+    return api;
+};
+
+module.exports = {
+    'DEFAULT_POLICIES': DEFAULT_POLICIES,
+    'once': once,
+    'policies': policies,
+    'validate': validate,
+    'delay': delay,
+    'attempt': attempt,
+    'wrapClient': wrapClient
+};
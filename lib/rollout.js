@@ -0,0 +1,126 @@
+var _ = require('underscore'),
+    async = require('async');
+
+/**
+ * Options that limit how work is spread across a fleet of droplets, and must be positive integers.
+ */
+var LIMITS = ['concurrency', 'batch_size', 'max_failures'];
+
+/**
+ * Returns a list of problems with rollout options, or an empty list if they're valid.
+ *
+ * @param {Object} options
+ * @returns {Array}
+ */
+var validate = function(options) {
+    var errors = [];
+    _.each(LIMITS, function(key) {
+        var value = options[key];
+        if (!_.isUndefined(value) && value !== null && !(_.isNumber(value) && value >= 1 && Math.floor(value) === value)) {
+            errors.push('`' + key + '` must be a positive integer');
+        }
+    });
+    if (!_.isUndefined(options.pause) && options.pause !== null && !(_.isNumber(options.pause) && options.pause >= 0)) {
+        errors.push('`pause` must be a number of seconds');
+    }
+    return errors;
+};
+
+/**
+ * Runs a task (`function(cb)`) per droplet, subject to these options:
+ *
+ * - `concurrency` - how many tasks may run at once (by default, all of them)
+ * - `batch_size` - tasks are split into batches of this size, and each batch finishes before the next
+ *   starts (by default, there's a single batch)
+ * - `pause` - seconds to wait between batches
+ * - `max_failures` - once this many tasks have failed, no more are started (by default, every task is
+ *   run regardless)
+ * - `rolling` - shorthand for `batch_size: 1` and `max_failures: 1`, unless they're given
+ * - `on_batch(index, count, indexes)` - called as each batch starts
+ *
+ * Never calls back with an error. Instead, calls back with an outcome per task, in order: `{error,
+ * result}`, or `{skipped: true}` for tasks that weren't started because `max_failures` was reached (see
+ * `summarize()`).
+ *
+ * @param {Array} tasks
+ * @param {Object} options
+ */
+var run = function(tasks, options, cb) {
+    var rolling = !!options.rolling,
+        batch_size = options.batch_size || (rolling ? 1 : Math.max(tasks.length, 1)),
+        concurrency = options.concurrency || batch_size,
+        max_failures = options.max_failures || (rolling ? 1 : Infinity),
+        failures = 0,
+        outcomes = _.map(tasks, function() {
+            return {
+                'skipped': true
+            };
+        }),
+        batches = [];
+    _.each(_.range(tasks.length), function(idx) {
+        if (idx % batch_size === 0) {
+            batches.push([]);
+        }
+        _.last(batches).push(idx);
+    });
+    async.eachSeries(_.range(batches.length), function(batch, next_batch) {
+        if (failures >= max_failures) {
+            return next_batch();
+        }
+        if (options.on_batch) {
+            options.on_batch(batch, batches.length, batches[batch]);
+        }
+        async.eachLimit(batches[batch], concurrency, function(idx, next) {
+            var called = false;
+            if (failures >= max_failures) {
+                return next();
+            }
+            tasks[idx](function(err, result) {
+                if (called) {
+                    return;
+                }
+                called = true;
+                outcomes[idx] = {
+                    'error': err || null,
+                    'result': result
+                };
+                if (err) {
+                    failures++;
+                }
+                next();
+            });
+        }, function() {
+            if (options.pause && batch < batches.length - 1 && failures < max_failures) {
+                return setTimeout(next_batch, options.pause * 1000);
+            }
+            next_batch();
+        });
+    }, function() {
+        cb(null, outcomes);
+    });
+};
+
+/**
+ * Reduces outcomes from `run()` to the first error and the list of results.
+ *
+ * @param {Array} outcomes
+ * @returns {Object} `{error, results, skipped}`, `skipped` being the indexes of tasks that didn't run.
+ */
+var summarize = function(outcomes) {
+    var failed = _.find(outcomes, function(outcome) {
+        return outcome.error;
+    });
+    return {
+        'error': failed ? failed.error : null,
+        'results': _.pluck(outcomes, 'result'),
+        'skipped': _.filter(_.range(outcomes.length), function(idx) {
+            return outcomes[idx].skipped;
+        })
+    };
+};
+
+module.exports = {
+    'validate': validate,
+    'run': run,
+    'summarize': summarize
+};
@@ -0,0 +1,319 @@
+var _ = require('underscore'),
+    _string = require('underscore.string'),
+    crypto = require('crypto'),
+    fs = require('fs'),
+    path = require('path'),
+    moment = require('moment'),
+    shell = require('shelljs'),
+    errors = require('./errors'),
+    RunReport;
+
+_.mixin(_string.exports());
+
+/**
+ * Records a provisioning run by listening to the provisioner's events for the droplets it was started
+ * with, much as the state journal does. Each droplet's lifecycle events and script output are written to
+ * its own log file, `<log_dir>/<run_id>/<name>.log`, and `finish()` returns a report like:
+ *
+ * ```
+ * {
+ *     "run_id": "20141021-142501-9f3c1a",
+ *     "status": "failed",
+ *     "started_at": "2014-10-21T14:25:01+00:00",
+ *     "finished_at": "2014-10-21T14:27:43+00:00",
+ *     "elapsed": 162.4,
+ *     "log_dir": "/home/me/project/.motorboat/logs/20141021-142501-9f3c1a",
+ *     "droplets": [{
+ *         "name": "web1",
+ *         "id": 2716503,
+ *         "ip_address": "192.0.2.10",
+ *         "status": "failed",
+ *         "phases": {"create": 58.2, "connect": 31.9, "configure": 72.3},
+ *         "scripts": [{"script": "node", "status": "complete", "exit_code": 0, "elapsed": 41.7}, ...],
+ *         "error": {"name": "ScriptError", "code": "SCRIPT_FAILED", "message": "...", ...},
+ *         "log_file": "/home/me/project/.motorboat/logs/20141021-142501-9f3c1a/web1.log"
+ *     }],
+ *     "failures": [{"name": "web1", "error": {...}}]
+ * }
+ * ```
+ *
+ * Durations are in seconds. Phases are `create` (until the droplet is active), `connect` (until it's
+ * reachable over SSH) and `configure` (until its folders have been copied and its scripts have run).
+ * Droplets that were never started (see `max_failures` in `lib/rollout.js`) have a status of `skipped`,
+ * and those destroyed because another droplet failed (see `all_or_nothing`) have a status of
+ * `rolled-back`.
+ *
+ * @class RunReport
+ */
+RunReport = function() {
+    this.init.apply(this, arguments);
+};
+
+/**
+ * Returns a new run ID: the time the run started, followed by a few random characters so that runs
+ * started at the same time by different processes can be told apart.
+ *
+ * @static
+ * @returns {String}
+ */
+RunReport.newId = function() {
+    return moment().format('YYYYMMDD-HHmmss') + '-' + crypto.randomBytes(3).toString('hex');
+};
+
+_.extend(RunReport.prototype, /** @lends RunReport.prototype */ {
+
+    /**
+     * @public
+     * @constructor
+     * @param {Object} emitter - The provisioner, whose events are recorded.
+     * @param {Array} names - The names of the droplets being provisioned.
+     * @param {Object} [options] - `run_id` (defaults to `RunReport.newId()`) and `log_dir`: the folder
+     * each run's log files are kept in, or false for none.
+     */
+    'init': function(emitter, names, options) {
+        options = options || {};
+        this.id = options.run_id || RunReport.newId();
+        this._emitter = emitter;
+        this._dir = options.log_dir ? path.resolve(options.log_dir, this.id) : null;
+        this._start = Date.now();
+        this._listeners = [];
+        this._finished = false;
+        this._droplets = _.map(names, function(name) {
+            return {
+                'name': name,
+                'id': null,
+                'ip_address': null,
+                'status': 'skipped',
+                'times': {},
+                'scripts': [],
+                'error': null,
+                'log_file': this._dir ? path.join(this._dir, String(name).replace(/[^A-Za-z0-9_.-]/g, '_') + '.log') : null
+            };
+        }, this);
+        if (this._dir) {
+            shell.mkdir('-p', this._dir);
+        }
+        this._listen();
+    },
+
+    /**
+     * Calls `fn(payload)` for each `event` until the run has finished.
+     *
+     * @private
+     */
+    '_bind': function(event, fn) {
+        var self = this;
+        var listener = function(payload) {
+            if (!self._finished) {
+                fn.call(self, payload);
+            }
+        };
+        this._listeners.push([event, listener]);
+        this._emitter.bind(event, listener);
+    },
+
+    /**
+     * Calls `fn(droplet, payload)` for each `event` about one of the run's droplets.
+     *
+     * @private
+     */
+    '_on': function(event, fn) {
+        this._bind(event, function(payload) {
+            var droplet = this._find(payload);
+            if (droplet) {
+                fn.call(this, droplet, payload);
+            }
+        });
+    },
+
+    /**
+     * Finds the droplet an event is about, by name or (for `script:*` events) by ID.
+     *
+     * @private
+     */
+    '_find': function(payload) {
+        return _.find(this._droplets, function(droplet) {
+            if (payload.name) {
+                return droplet.name === payload.name;
+            }
+            return droplet.id !== null && String(droplet.id) === String(payload.instance_id);
+        });
+    },
+
+    /**
+     * @private
+     */
+    '_listen': function() {
+        this._on('droplet:requested', function(droplet) {
+            droplet.status = 'provisioning';
+            droplet.times.requested = Date.now();
+            this._write(droplet, 'Requested droplet');
+        });
+        this._on('droplet:polled', function(droplet, payload) {
+            droplet.id = payload.droplet.id;
+        });
+        this._on('droplet:active', function(droplet, payload) {
+            droplet.id = payload.droplet.id;
+            droplet.ip_address = payload.droplet.ip_address;
+            droplet.times.active = Date.now();
+            this._write(droplet, _.sprintf('Droplet %s is active at %s', droplet.id, droplet.ip_address));
+        });
+        this._on('droplet:reachable', function(droplet) {
+            droplet.times.reachable = Date.now();
+            this._write(droplet, 'Droplet is reachable');
+        });
+        this._on('dns:updated', function(droplet, payload) {
+            this._write(droplet, 'Updated DNS records: ' + _.map(payload.records, function(record) {
+                return _.sprintf('%s.%s %s %s', record.name, record.domain, record.type, record.data);
+            }).join(', '));
+        });
+        this._on('folder:copied', function(droplet, payload) {
+            this._write(droplet, _.sprintf('Copied %s to %s', payload.source, payload.destination));
+        });
+        this._on('script:started', function(droplet, payload) {
+            droplet.scripts.push({
+                'script': payload.script,
+                'status': 'running',
+                'exit_code': null,
+                'elapsed': null,
+                'started': Date.now()
+            });
+            this._write(droplet, _.sprintf('Running script `%s`', payload.script));
+        });
+        this._on('script:finished', function(droplet, payload) {
+            this._finishScript(droplet, payload.script, 'complete', 0);
+            this._write(droplet, _.sprintf('Script `%s` finished', payload.script));
+        });
+        this._on('script:failed', function(droplet, payload) {
+            var exit_code = _.isUndefined(payload.error.exit_code) ? null : payload.error.exit_code;
+            this._finishScript(droplet, payload.script, 'failed', exit_code);
+            this._write(droplet, _.sprintf('Script `%s` failed: %s', payload.script, payload.error));
+        });
+        this._on('output', function(droplet, payload) {
+            this._write(droplet, '[' + payload.stream + '] ' + payload.line);
+        });
+        this._on('provision:complete', function(droplet) {
+            droplet.status = 'complete';
+            droplet.times.finished = Date.now();
+            this._write(droplet, 'Provisioning complete');
+        });
+        this._on('provision:failed', function(droplet, payload) {
+            droplet.status = 'failed';
+            droplet.error = _.omit(errors.from(payload.error).toJSON(), 'stdout', 'stderr');
+            droplet.times.finished = Date.now();
+            this._write(droplet, 'Provisioning failed: ' + payload.error);
+        });
+        this._bind('provision:rollback', function(payload) {
+            _.each(payload.droplets, function(rolled_back) {
+                var droplet = this._find({
+                    'instance_id': rolled_back.id
+                });
+                if (droplet) {
+                    droplet.status = 'rolled-back';
+                    this._write(droplet, 'Destroyed, as another droplet in the run failed');
+                }
+            }, this);
+        });
+    },
+
+    /**
+     * @private
+     */
+    '_finishScript': function(droplet, script, status, exit_code) {
+        var entry = _.last(_.where(droplet.scripts, {
+            'script': script,
+            'status': 'running'
+        }));
+        if (entry) {
+            entry.status = status;
+            entry.exit_code = exit_code;
+            entry.elapsed = (Date.now() - entry.started) / 1000;
+        }
+    },
+
+    /**
+     * Appends a timestamped line to a droplet's log file. Written synchronously, so that lines from
+     * droplets provisioned in parallel stay in order.
+     *
+     * @private
+     */
+    '_write': function(droplet, line) {
+        if (droplet.log_file) {
+            fs.appendFileSync(droplet.log_file, moment().format() + ' ' + line + '\n');
+        }
+    },
+
+    /**
+     * Returns the seconds between two of a droplet's recorded times, or null if either is missing.
+     *
+     * @private
+     */
+    '_between': function(droplet, from, to) {
+        if (!droplet.times[from] || !droplet.times[to]) {
+            return null;
+        }
+        return (droplet.times[to] - droplet.times[from]) / 1000;
+    },
+
+    /**
+     * Stops recording and returns the report, which is also written to `report.json` alongside the log
+     * files.
+     *
+     * @public
+     * @param {*} [err] - The error the run failed with, if it did.
+     * @returns {Object}
+     */
+    'finish': function(err) {
+        var self = this,
+            report;
+        this._finished = true;
+        // Listeners are removed once the event that finished the run has been handled by every listener
+        process.nextTick(function() {
+            _.each(self._listeners, function(listener) {
+                self._emitter.unbind(listener[0], listener[1]);
+            });
+        });
+        report = {
+            'run_id': this.id,
+            'status': err ? 'failed' : 'complete',
+            'started_at': moment(this._start).format(),
+            'finished_at': moment().format(),
+            'elapsed': (Date.now() - this._start) / 1000,
+            'log_dir': this._dir,
+            'droplets': _.map(this._droplets, function(droplet) {
+                return _.extend(_.omit(droplet, 'times', 'scripts'), {
+                    'phases': {
+                        'create': self._between(droplet, 'requested', 'active'),
+                        'connect': self._between(droplet, 'active', 'reachable'),
+                        'configure': self._between(droplet, 'reachable', 'finished')
+                    },
+                    'scripts': _.map(droplet.scripts, function(script) {
+                        return _.omit(script, 'started');
+                    })
+                });
+            })
+        };
+        report.failures = _.map(_.filter(report.droplets, function(droplet) {
+            return droplet.error;
+        }), function(droplet) {
+            return {
+                'name': droplet.name,
+                'error': droplet.error
+            };
+        });
+        if (err && _.isEmpty(report.failures)) {
+            // The run failed before any droplet was started, e.g. because of invalid options
+            report.failures.push({
+                'name': null,
+                'error': _.omit(errors.from(err).toJSON(), 'stdout', 'stderr')
+            });
+        }
+        if (this._dir) {
+            fs.writeFileSync(path.join(this._dir, 'report.json'), JSON.stringify(report, null, 4));
+        }
+        return report;
+    }
+
+});
+
+module.exports = RunReport;
@@ -0,0 +1,96 @@
+var _ = require('underscore'),
+    _string = require('underscore.string'),
+    async = require('async'),
+    errors = require('./errors');
+
+_.mixin(_string.exports());
+
+/**
+ * Returns the scripts listed in `# requires:` lines within a script's leading comment block. Names may be
+ * separated by commas or spaces, and several `requires` lines may be given.
+ *
+ * ```bash
+ * #!/bin/bash
+ * # Installs our app
+ * # requires: node, nginx
+ * ```
+ *
+ * @param {String} contents
+ * @returns {Array}
+ */
+var parseRequires = function(contents) {
+    var requires = [];
+    _.find(contents.split(/\r?\n/), function(line) {
+        var match;
+        line = _.trim(line);
+        if (line === '') {
+            return false;
+        }
+        if (line.charAt(0) !== '#') {
+            // End of the header
+            return true;
+        }
+        match = line.match(/^#+\s*requires\s*:(.*)$/i);
+        if (match) {
+            requires = requires.concat(_.compact(match[1].split(/[\s,]+/)));
+        }
+        return false;
+    });
+    return _.uniq(requires);
+};
+
+/**
+ * Expands a list of scripts to include everything they require, ordered so that each script comes after
+ * its requirements. Scripts that are requested (or required) more than once are only included once.
+ *
+ * @param {Array} scripts
+ * @param {Function} read - Called with (script, cb) and expected to call back with (err, contents). An
+ * error with a code of `ENOENT` is reported as a missing script.
+ * @param {Function} cb - Called with (err, ordered_scripts).
+ */
+var resolve = function(scripts, read, cb) {
+    var ordered = [],
+        visiting = [];
+    var visit = function(script, required_by, done) {
+        if (ordered.indexOf(script) >= 0) {
+            return done();
+        }
+        if (visiting.indexOf(script) >= 0) {
+            return done(new errors.ValidationError('Circular script dependency: ' + visiting.slice(visiting.indexOf(script)).concat(script).join(' -> ')));
+        }
+        read(script, function(err, contents) {
+            if (err) {
+                if (err.code === 'ENOENT') {
+                    return done(new errors.NotFoundError('Missing script `' + script + '`' + (required_by ? ' (required by `' + required_by + '`)' : ''), {
+                        'script': script
+                    }));
+                }
+                return done(errors.wrap(err, 'Unable to read script `' + script + '`'));
+            }
+            visiting.push(script);
+            async.eachSeries(parseRequires(contents), function(requirement, next) {
+                visit(requirement, script, next);
+            }, function(err) {
+                visiting.pop();
+                if (err) {
+                    return done(err);
+                }
+                ordered.push(script);
+                done();
+            });
+        });
+    };
+    async.eachSeries(scripts, function(script, next) {
+        visit(script, null, next);
+    }, function(err) {
+        if (err) {
+            return cb(err);
+        }
+        return cb(null, ordered);
+    });
+};
+
+module.exports = {
+    'parseRequires': parseRequires,
+    'resolve': resolve
+};
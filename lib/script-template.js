@@ -0,0 +1,69 @@
+var _ = require('underscore');
+
+/**
+ * Replaces `{{name}}` placeholders in a script with values from `vars`. Only placeholders whose name is a
+ * key in `vars` are replaced, so unrelated `{{...}}` sequences (e.g. Go templates passed to docker) are
+ * left alone. Array values are joined with spaces.
+ *
+ * @param {String} contents
+ * @param {Object} vars
+ * @returns {String}
+ */
+var render = function(contents, vars) {
+    return contents.replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g, function(match, name) {
+        if (!_.has(vars, name) || _.isUndefined(vars[name]) || vars[name] === null) {
+            return match;
+        }
+        return _.isArray(vars[name]) ? vars[name].join(' ') : String(vars[name]);
+    });
+};
+
+/**
+ * Wraps a value in single quotes so that it's passed to a shell verbatim.
+ *
+ * @param {String} value
+ * @returns {String}
+ */
+var quote = function(value) {
+    return "'" + String(value).replace(/'/g, "'\\''") + "'";
+};
+
+/**
+ * Returns a list of names in `env` that can't be used as shell variable names.
+ *
+ * @param {Object} env
+ * @returns {Array}
+ */
+var invalidEnv = function(env) {
+    return _.reject(_.keys(env), function(name) {
+        return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name);
+    });
+};
+
+/**
+ * Builds an `export NAME='value' ...;` statement for the given environment, or an empty string if it's
+ * empty. Array values are joined with spaces.
+ *
+ * @param {Object} env
+ * @returns {String}
+ */
+var exportStatement = function(env) {
+    var assignments = [];
+    _.each(env, function(value, name) {
+        if (_.isUndefined(value) || value === null) {
+            return;
+        }
+        assignments.push(name + '=' + quote(_.isArray(value) ? value.join(' ') : value));
+    });
+    if (_.isEmpty(assignments)) {
+        return '';
+    }
+    return 'export ' + assignments.join(' ') + '; ';
+};
+
+module.exports = {
+    'render': render,
+    'quote': quote,
+    'invalidEnv': invalidEnv,
+    'exportStatement': exportStatement
+};
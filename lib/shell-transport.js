@@ -0,0 +1,193 @@
+var _ = require('underscore'),
+    _string = require('underscore.string'),
+    path = require('path'),
+    shell = require('shelljs'),
+    errors = require('./errors'),
+    scriptTemplate = require('./script-template'),
+    KnownHosts = require('./known-hosts'),
+    ShellTransport;
+
+_.mixin(_string.exports());
+
+/**
+ * Transport that shells out to the local `ssh`, `scp` and `rsync` binaries.
+ *
+ * Each method accepts a `target` describing the remote host: `{host, user, private_key}` and, optionally,
+ * `port`. Each method returns an object whose `abort()` stops the process it started, e.g. when an attempt
+ * times out.
+ *
+ * Host keys are checked strictly against the `known_hosts` option's file (see `lib/known-hosts.js`) and
+ * `~/.ssh/known_hosts`, unless `known_hosts` is false.
+ *
+ * @class ShellTransport
+ */
+ShellTransport = function() {
+    this.init.apply(this, arguments);
+};
+
+_.extend(ShellTransport.prototype, /** @lends ShellTransport.prototype */ {
+
+    /**
+     * @public
+     * @constructor
+     */
+    'init': function(options) {
+        this._options = _.defaults(options || {}, {
+            'known_hosts': KnownHosts.DEFAULT_FILE
+        });
+    },
+
+    /**
+     * `scp` takes the port as `-P` rather than `ssh`'s `-p`.
+     *
+     * @private
+     */
+    '_sshOptions': function(target, port_flag) {
+        var options = _.sprintf('-i %s %s -o GSSAPIAuthentication=no -o LogLevel=ERROR', scriptTemplate.quote(target.private_key), this._hostKeyOptions());
+        if (target.port) {
+            options = _.sprintf('%s %s %d', options, port_flag || '-p', target.port);
+        }
+        return options;
+    },
+
+    /**
+     * @private
+     */
+    '_hostKeyOptions': function() {
+        if (this._options.known_hosts === false) {
+            return '-o StrictHostKeyChecking=no';
+        }
+        return '-o StrictHostKeyChecking=yes -o ' + scriptTemplate.quote('UserKnownHostsFile="' + path.resolve(this._options.known_hosts) + '" ~/.ssh/known_hosts');
+    },
+
+    /**
+     * Returns a `HostKeyError` if `ssh` refused to connect because it couldn't verify the host's key.
+     *
+     * @private
+     */
+    '_hostKeyError': function(target, stderr) {
+        if (!/Host key verification failed/.test(stderr)) {
+            return null;
+        }
+        return new errors.HostKeyError('Host key verification failed for ' + target.host, {
+            'host': target.host
+        });
+    },
+
+    /**
+     * Runs a local command. `on_data(stream, chunk)` is called as output arrives, if given. The command
+     * replaces the shell it's run by (`exec`), so that aborting it stops the command itself.
+     *
+     * @private
+     */
+    '_exec': function(cmd, silent, on_data, cb) {
+        var stdout = '',
+            stderr = '',
+            child;
+        child = shell.exec('exec ' + cmd, {
+            'async': true,
+            'silent': silent
+        }, function(code, output) {
+            cb(code, output, stdout, stderr);
+        });
+        child.stdout.on('data', function(data) {
+            stdout += data;
+            if (on_data) {
+                on_data('stdout', data.toString());
+            }
+        });
+        child.stderr.on('data', function(data) {
+            stderr += data;
+            if (on_data) {
+                on_data('stderr', data.toString());
+            }
+        });
+        return {
+            'abort': function() {
+                child.kill();
+            }
+        };
+    },
+
+    /**
+     * Copies a single local file to the remote host.
+     *
+     * @public
+     */
+    'upload': function(target, local_path, remote_path, cb) {
+        var self = this,
+            cmd = _.sprintf('scp %s %s %s@%s:%s', this._sshOptions(target, '-P'), scriptTemplate.quote(local_path), target.user, target.host, scriptTemplate.quote(remote_path));
+        return this._exec(cmd, true, null, function(code, output, stdout, stderr) {
+            if (code !== 0) {
+                if (self._hostKeyError(target, stderr)) {
+                    return cb(self._hostKeyError(target, stderr));
+                }
+                return cb('scp returned with error code: ' + code);
+            }
+            return cb(null);
+        });
+    },
+
+    /**
+     * Runs a command on the remote host. Calls back with `{code, stdout, stderr}`; a non-zero exit code is
+     * not treated as an error here. If `options.on_data(stream, chunk)` is given, it's called as output
+     * arrives.
+     *
+     * @public
+     */
+    'exec': function(target, cmd, options, cb) {
+        var self = this,
+            ssh_cmd = _.sprintf('ssh %s@%s %s %s', target.user, target.host, this._sshOptions(target), scriptTemplate.quote(cmd));
+        return this._exec(ssh_cmd, true, options.on_data, function(code, output, stdout, stderr) {
+            if (code === 255 && self._hostKeyError(target, stderr)) {
+                return cb(self._hostKeyError(target, stderr));
+            }
+            return cb(null, {
+                'code': code,
+                'stdout': stdout,
+                'stderr': stderr
+            });
+        });
+    },
+
+    /**
+     * Mirrors a local folder to the remote host with `rsync --delete`.
+     *
+     * @public
+     */
+    'copyFolder': function(target, source, dest, options, cb) {
+        var self = this,
+            rsync_cmd = _.sprintf('rsync -avz --delete -e %s %s %s@%s:%s', scriptTemplate.quote('ssh ' + this._sshOptions(target)), scriptTemplate.quote(source), target.user, target.host, scriptTemplate.quote(dest));
+        return this._exec(rsync_cmd, !!options.silent, null, function(code, output, stdout, stderr) {
+            if (code !== 0) {
+                if (self._hostKeyError(target, stderr)) {
+                    return cb(self._hostKeyError(target, stderr));
+                }
+                return cb(_.sprintf('Error running rsync (%s): %s', code, rsync_cmd));
+            }
+            return cb(null, output);
+        });
+    },
+
+    /**
+     * Fetches the remote host's public keys with `ssh-keyscan`, so that they can be recorded the first
+     * time a droplet is reached. Calls back with `[{type, key}]`.
+     *
+     * @public
+     */
+    'scanHostKeys': function(target, cb) {
+        var cmd = _.sprintf('ssh-keyscan -T 10 %s%s', target.port ? _.sprintf('-p %d ', target.port) : '', scriptTemplate.quote(target.host));
+        return this._exec(cmd, true, null, function(code, output, stdout) {
+            var keys = _.compact(_.map(stdout.split('\n'), KnownHosts.parse));
+            if (_.isEmpty(keys)) {
+                return cb('ssh-keyscan found no host keys for ' + target.host + ' (exit code ' + code + ')');
+            }
+            return cb(null, _.map(keys, function(entry) {
+                return _.pick(entry, 'type', 'key');
+            }));
+        });
+    }
+
+});
+
+module.exports = ShellTransport;
@@ -0,0 +1,152 @@
+var _ = require('underscore'),
+    _string = require('underscore.string'),
+    async = require('async'),
+    errors = require('./errors'),
+    SlugResolver;
+
+_.mixin(_string.exports());
+
+/**
+ * How each droplet option is looked up: the API command that lists its choices, and the fields of those
+ * choices that a name may match (case-insensitively), in order of preference.
+ */
+var KINDS = {
+    'region': {
+        'command': 'regionGetAll',
+        'fields': ['slug', 'name']
+    },
+    'size': {
+        'command': 'sizeGetAll',
+        'fields': ['slug', 'name']
+    },
+    'image': {
+        'command': 'imageGetAll',
+        'fields': ['slug', 'name']
+    }
+};
+
+/**
+ * Returns the value the API expects for a choice: its ID, or its slug where the API (v2 regions and
+ * sizes) has no IDs.
+ *
+ * @private
+ */
+var choiceId = function(choice) {
+    return _.isUndefined(choice.id) ? choice.slug : choice.id;
+};
+
+/**
+ * Resolves human-friendly region, size and image names (e.g. `nyc2`, `512mb`, `Ubuntu 14.04 x64`) to
+ * the IDs (or, with API v2, slugs) expected by the DigitalOcean API. The available choices are fetched
+ * once per resolver and cached. Numeric values are assumed to be IDs already and are left as they are.
+ *
+ * @class SlugResolver
+ */
+SlugResolver = function() {
+    this.init.apply(this, arguments);
+};
+
+_.extend(SlugResolver.prototype, /** @lends SlugResolver.prototype */ {
+
+    /**
+     * @public
+     * @constructor
+     * @param {Object} api - A DigitalOcean API client.
+     */
+    'init': function(api) {
+        this._api = api;
+        this._choices = {};
+        this._pending = {};
+    },
+
+    /**
+     * Calls back with the choices available for `kind`, fetching them if they haven't been already.
+     * Concurrent requests for the same kind share a single API call.
+     *
+     * @private
+     */
+    '_getChoices': function(kind, cb) {
+        var self = this;
+        if (this._choices[kind]) {
+            return process.nextTick(function() {
+                cb(null, self._choices[kind]);
+            });
+        }
+        if (this._pending[kind]) {
+            return this._pending[kind].push(cb);
+        }
+        this._pending[kind] = [cb];
+        this._api[KINDS[kind].command](function(err, choices) {
+            var callbacks = self._pending[kind];
+            delete self._pending[kind];
+            if (!err) {
+                self._choices[kind] = choices || [];
+            }
+            _.each(callbacks, function(callback) {
+                callback(err, choices || []);
+            });
+        });
+    },
+
+    /**
+     * Resolves a single region, size or image to its ID.
+     *
+     * @public
+     * @param {String} kind - `region`, `size` or `image`.
+     * @param {String|Number} value
+     */
+    'resolve': function(kind, value, cb) {
+        if (_.isUndefined(value) || value === null || /^\d+$/.test(String(value))) {
+            return process.nextTick(function() {
+                cb(null, value);
+            });
+        }
+        this._getChoices(kind, function(err, choices) {
+            var name = String(value).toLowerCase(),
+                matches;
+            if (err) {
+                return cb(err);
+            }
+            // Slugs are unique, so they're matched before names
+            _.find(KINDS[kind].fields, function(field) {
+                matches = _.filter(choices, function(choice) {
+                    return _.isString(choice[field]) && choice[field].toLowerCase() === name;
+                });
+                return matches.length > 0;
+            });
+            if (matches.length === 1) {
+                return cb(null, choiceId(matches[0]));
+            }
+            if (matches.length > 1) {
+                return cb(new errors.ValidationError(_.sprintf('Ambiguous %s `%s`, matches IDs: %s', kind, value, _.map(matches, choiceId).join(', '))));
+            }
+            return cb(new errors.ValidationError(_.sprintf('Unknown %s `%s`, expected one of: %s', kind, value, _.map(choices, function(choice) {
+                return choice.slug || choice.name;
+            }).join(', '))));
+        });
+    },
+
+    /**
+     * Returns a copy of a droplet's options with its `region`, `size` and `image` resolved to IDs.
+     *
+     * @public
+     */
+    'resolveOptions': function(options, cb) {
+        var self = this,
+            resolved = _.clone(options);
+        async.eachSeries(_.keys(KINDS), function(kind, next) {
+            self.resolve(kind, options[kind], function(err, id) {
+                resolved[kind] = id;
+                next(err);
+            });
+        }, function(err) {
+            if (err) {
+                return cb(err);
+            }
+            return cb(null, resolved);
+        });
+    }
+
+});
+
+module.exports = SlugResolver;
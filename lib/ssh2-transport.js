@@ -0,0 +1,337 @@
+var _ = require('underscore'),
+    fs = require('fs'),
+    path = require('path'),
+    async = require('async'),
+    Connection = require('ssh2'),
+    errors = require('./errors'),
+    KnownHosts = require('./known-hosts'),
+    Ssh2Transport;
+
+/**
+ * Transport built on the `ssh2` module. Files are uploaded over SFTP and commands are executed over a
+ * native SSH channel, so no local `ssh`, `scp` or `rsync` binaries are required and stdout, stderr and
+ * the exit code are reported separately.
+ *
+ * Each method accepts a `target` describing the remote host: `{host, user, private_key}`, and returns an
+ * object whose `abort()` closes the connection it opened, e.g. when an attempt times out.
+ *
+ * Host keys are checked against the `known_hosts` option's file (see `lib/known-hosts.js`) and
+ * `~/.ssh/known_hosts`, unless `known_hosts` is false.
+ *
+ * @class Ssh2Transport
+ */
+Ssh2Transport = function() {
+    this.init.apply(this, arguments);
+};
+
+_.extend(Ssh2Transport.prototype, /** @lends Ssh2Transport.prototype */ {
+
+    /**
+     * @public
+     * @constructor
+     */
+    'init': function(options) {
+        options = options || {};
+        _.defaults(options, {
+            'ready_timeout': 20000,
+            'known_hosts': KnownHosts.DEFAULT_FILE
+        });
+        this._options = options;
+        if (options.known_hosts !== false) {
+            this._knownHosts = new KnownHosts(options.known_hosts, _.compact([KnownHosts.userFile()]));
+        }
+    },
+
+    /**
+     * Returns the `hostVerifier` ssh2 calls with a hash of the key `target` presents, which records a
+     * `HostKeyError` in `state.error` if the key can't be verified.
+     *
+     * @private
+     */
+    '_hostVerifier': function(target, state) {
+        var known_hosts = this._knownHosts;
+        return function(digest) {
+            if (_.isEmpty(known_hosts.get(target.host, target.port))) {
+                state.error = new errors.HostKeyError('No host key is known for ' + target.host, {
+                    'host': target.host
+                });
+            } else if (!known_hosts.verify(target.host, target.port, digest)) {
+                state.error = new errors.HostKeyError('The host key presented by ' + target.host + ' does not match the one recorded for it', {
+                    'host': target.host
+                });
+            }
+            return !state.error;
+        };
+    },
+
+    /**
+     * Opens a connection to `target` and passes it to `fn(conn, done)`. The connection is closed once
+     * `done` is called, and `cb` is called exactly once with whatever `done` was given. Returns an
+     * `abort()` handle that closes the connection early.
+     *
+     * @private
+     */
+    '_withConnection': function(target, fn, cb) {
+        var self = this,
+            conn,
+            host_key = {},
+            finished = false;
+        var finish = function() {
+            var args = arguments;
+            if (finished) {
+                return;
+            }
+            finished = true;
+            if (conn) {
+                conn.end();
+            }
+            cb.apply(null, args);
+        };
+        fs.readFile(target.private_key, function(err, key) {
+            if (finished) {
+                return;
+            }
+            if (err) {
+                return finish('Unable to read private key (' + target.private_key + '): ' + err.message);
+            }
+            conn = new Connection();
+            conn.on('ready', function() {
+                fn(conn, finish);
+            });
+            conn.on('error', function(err) {
+                finish(host_key.error || 'SSH connection to ' + target.host + ' failed: ' + err.message);
+            });
+            conn.on('close', function() {
+                // ssh2 disconnects without an error when the host key is rejected
+                finish(host_key.error || 'SSH connection to ' + target.host + ' closed unexpectedly');
+            });
+            // ssh2 throws if it can't parse the key (e.g. ed25519 keys, or keys in OpenSSH's newer format)
+            try {
+                conn.connect(_.extend({
+                    'host': target.host,
+                    'port': target.port || 22,
+                    'username': target.user,
+                    'privateKey': key,
+                    'readyTimeout': self._options.ready_timeout
+                }, self._knownHosts ? {
+                    'hostHash': 'sha1',
+                    'hostVerifier': self._hostVerifier(target, host_key)
+                } : {}));
+            } catch (e) {
+                finish('Unable to connect to ' + target.host + ' with private key (' + target.private_key + '): ' + e.message);
+            }
+        });
+        return {
+            'abort': function() {
+                finish('SSH connection to ' + target.host + ' was aborted');
+            }
+        };
+    },
+
+    /**
+     * Fetches the key the remote host presents, so that it can be recorded the first time a droplet is
+     * reached. Calls back with `[{type, key}]`.
+     *
+     * @public
+     */
+    'scanHostKeys': function(target, cb) {
+        var conn = new Connection(),
+            keys = null;
+        cb = _.once(cb);
+        // ssh2 only passes a hash of the key to `hostVerifier`, so the key itself is read from the key
+        // exchange, through ssh2's private parser. That's specific to ssh2 ~0.2 (newer versions pass the
+        // raw key to `hostVerifier`). The connection is then abandoned, as there's no need to authenticate.
+        conn._parser.on('KEXDH_REPLY', function(info) {
+            keys = [{
+                'type': info.hostkey_format,
+                'key': info.hostkey.toString('base64')
+            }];
+        });
+        conn.on('error', function(err) {
+            cb(keys ? null : 'Unable to fetch the host key of ' + target.host + ': ' + err.message, keys);
+        });
+        conn.on('close', function() {
+            cb(keys ? null : 'Unable to fetch the host key of ' + target.host, keys);
+        });
+        try {
+            conn.connect({
+                'host': target.host,
+                'port': target.port || 22,
+                'username': target.user,
+                'hostHash': 'sha1',
+                'hostVerifier': function() {
+                    return false;
+                },
+                'readyTimeout': this._options.ready_timeout
+            });
+        } catch (e) {
+            cb('Unable to fetch the host key of ' + target.host + ': ' + e.message);
+        }
+        return {
+            'abort': function() {
+                conn.end();
+            }
+        };
+    },
+
+    /**
+     * Copies a single local file to the remote host over SFTP.
+     *
+     * @public
+     */
+    'upload': function(target, local_path, remote_path, cb) {
+        return this._withConnection(target, function(conn, done) {
+            conn.sftp(function(err, sftp) {
+                if (err) {
+                    return done('Unable to start SFTP session: ' + err.message);
+                }
+                sftp.fastPut(local_path, remote_path, function(err) {
+                    sftp.end();
+                    if (err) {
+                        return done('SFTP upload of ' + local_path + ' failed: ' + err.message);
+                    }
+                    return done(null);
+                });
+            });
+        }, cb);
+    },
+
+    /**
+     * Runs a command on the remote host. Calls back with `{code, stdout, stderr}`; a non-zero exit code is
+     * not treated as an error here. If `options.on_data(stream, chunk)` is given, it's called as output
+     * arrives.
+     *
+     * @public
+     */
+    'exec': function(target, cmd, options, cb) {
+        return this._withConnection(target, function(conn, done) {
+            conn.exec(cmd, function(err, stream) {
+                var result = {
+                    'code': null,
+                    'stdout': '',
+                    'stderr': ''
+                };
+                if (err) {
+                    return done('Unable to execute remote command: ' + err.message);
+                }
+                stream.on('data', function(data, extended) {
+                    var name = (extended === 'stderr') ? 'stderr' : 'stdout';
+                    result[name] += data.toString();
+                    if (options.on_data) {
+                        options.on_data(name, data.toString());
+                    }
+                });
+                stream.on('exit', function(code, signal) {
+                    result.code = code;
+                    if (signal) {
+                        result.signal = signal;
+                    }
+                });
+                stream.on('close', function() {
+                    done(null, result);
+                });
+            });
+        }, cb);
+    },
+
+    /**
+     * Recursively uploads a local folder to the remote host over SFTP. As with rsync, a `source` ending in
+     * a slash copies the folder's contents into `dest`; otherwise the folder itself is copied into `dest`.
+     * Unlike the shell transport, files that exist only on the remote host are not deleted.
+     *
+     * @public
+     */
+    'copyFolder': function(target, source, dest, options, cb) {
+        var self = this,
+            root = dest;
+        if (source.slice(-1) !== '/') {
+            root = path.posix.join(dest, path.basename(source));
+        }
+        return this._withConnection(target, function(conn, done) {
+            conn.sftp(function(err, sftp) {
+                var uploaded = [];
+                if (err) {
+                    return done('Unable to start SFTP session: ' + err.message);
+                }
+                self._uploadDirectory(sftp, path.resolve(source), root, uploaded, function(err) {
+                    sftp.end();
+                    if (err) {
+                        return done(err);
+                    }
+                    return done(null, uploaded);
+                });
+            });
+        }, cb);
+    },
+
+    /**
+     * @private
+     */
+    '_uploadDirectory': function(sftp, local_dir, remote_dir, uploaded, cb) {
+        var self = this;
+        this._mkdirp(sftp, remote_dir, function(err) {
+            if (err) {
+                return cb(err);
+            }
+            fs.readdir(local_dir, function(err, entries) {
+                if (err) {
+                    return cb('Unable to read folder (' + local_dir + '): ' + err.message);
+                }
+                async.eachSeries(entries, function(entry, next) {
+                    var local_path = path.join(local_dir, entry),
+                        remote_path = path.posix.join(remote_dir, entry);
+                    fs.stat(local_path, function(err, stats) {
+                        if (err) {
+                            return next('Unable to read ' + local_path + ': ' + err.message);
+                        }
+                        if (stats.isDirectory()) {
+                            return self._uploadDirectory(sftp, local_path, remote_path, uploaded, next);
+                        }
+                        sftp.fastPut(local_path, remote_path, function(err) {
+                            if (err) {
+                                return next('SFTP upload of ' + local_path + ' failed: ' + err.message);
+                            }
+                            uploaded.push(remote_path);
+                            next();
+                        });
+                    });
+                }, cb);
+            });
+        });
+    },
+
+    /**
+     * Creates a remote directory and any missing parents.
+     *
+     * @private
+     */
+    '_mkdirp': function(sftp, dir, cb) {
+        var self = this;
+        sftp.stat(dir, function(err) {
+            if (!err) {
+                return cb(null);
+            }
+            var parent = path.posix.dirname(dir);
+            var mkdir = function() {
+                sftp.mkdir(dir, function(err) {
+                    if (err) {
+                        return cb('Unable to create remote folder ' + dir + ': ' + err.message);
+                    }
+                    return cb(null);
+                });
+            };
+            if (parent === dir) {
+                return mkdir();
+            }
+            self._mkdirp(sftp, parent, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                mkdir();
+            });
+        });
+    }
+
+});
+
+module.exports = Ssh2Transport;
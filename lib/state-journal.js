@@ -0,0 +1,223 @@
+var _ = require('underscore'),
+    fs = require('fs'),
+    path = require('path'),
+    moment = require('moment'),
+    shell = require('shelljs'),
+    errors = require('./errors'),
+    StateJournal;
+
+/**
+ * Records the droplets created by Motorboat, the options they were provisioned with and which of their
+ * folders and scripts have completed, so that a failed run can be resumed. The journal is kept in a JSON
+ * file, which is read afresh before every lookup and change, so that several processes (or provisioners)
+ * sharing a state file don't overwrite each other's droplets.
+ *
+ * Each droplet's entry looks like:
+ *
+ * ```
+ * {
+ *     "id": 1234, "name": "web1", "ip_address": "...",
+ *     "status": "creating" | "provisioning" | "complete" | "failed",
+ *     "options": { ... the provision() options ... },
+ *     "completed_folders": ["/local/src:/remote/dest/"],
+ *     "completed_scripts": ["node"],
+ *     "dns_records": [{ "domain": "example.com", "id": 5678, "name": "web1", "type": "A", "data": "..." }],
+ *     "error": null, "created_at": "...", "updated_at": "..."
+ * }
+ * ```
+ *
+ * @class StateJournal
+ */
+StateJournal = function() {
+    this.init.apply(this, arguments);
+};
+
+_.extend(StateJournal.prototype, /** @lends StateJournal.prototype */ {
+
+    /**
+     * @public
+     * @constructor
+     * @param {String} file - Path to the JSON state file. It's created (along with its folder) when first
+     *     written.
+     * @param {Function} [on_error] - Called with any error reading or writing the file once the journal
+     *     has been created. Such errors aren't thrown, as changes are made from asynchronous callbacks.
+     */
+    'init': function(file, on_error) {
+        this._file = path.resolve(file);
+        this._onError = on_error || function() {};
+        // Fails early if the file can't be parsed
+        this._load();
+    },
+
+    /**
+     * @private
+     */
+    '_load': function() {
+        var contents;
+        if (!fs.existsSync(this._file)) {
+            return {
+                'droplets': {}
+            };
+        }
+        contents = fs.readFileSync(this._file, 'utf8');
+        try {
+            return _.defaults(JSON.parse(contents), {
+                'droplets': {}
+            });
+        } catch (e) {
+            throw new errors.ValidationError('Unable to parse state file (' + this._file + '): ' + e.message);
+        }
+    },
+
+    /**
+     * Reads the file as `_load()` does, but reports errors to `on_error` and treats the file as empty.
+     *
+     * @private
+     */
+    '_read': function() {
+        try {
+            return this._load();
+        } catch (e) {
+            this._onError(errors.wrap(e, 'Unable to read state file (' + this._file + ')'));
+            return {
+                'droplets': {}
+            };
+        }
+    },
+
+    /**
+     * Replaces a droplet's entry (or removes it, if `entry` is null) in the file as it is now, leaving
+     * the other droplets' entries as they were written. Written synchronously so that droplets
+     * provisioned in parallel can't interleave partial writes.
+     *
+     * @private
+     */
+    '_save': function(id, entry) {
+        var state;
+        try {
+            state = this._load();
+            if (entry) {
+                state.droplets[String(id)] = entry;
+            } else {
+                delete state.droplets[String(id)];
+            }
+            shell.mkdir('-p', path.dirname(this._file));
+            fs.writeFileSync(this._file, JSON.stringify(state, null, 4));
+        } catch (e) {
+            this._onError(errors.wrap(e, 'Unable to write state file (' + this._file + ')'));
+        }
+    },
+
+    /**
+     * Returns every recorded droplet.
+     *
+     * @public
+     */
+    'all': function() {
+        return _.values(this._read().droplets);
+    },
+
+    /**
+     * Returns the entry for a droplet, looked up by ID or name.
+     *
+     * @public
+     */
+    'find': function(id_or_name) {
+        var entry = this._read().droplets[String(id_or_name)];
+        if (entry) {
+            return entry;
+        }
+        return _.findWhere(this.all(), {
+            'name': String(id_or_name)
+        });
+    },
+
+    /**
+     * Records a newly created droplet.
+     *
+     * @public
+     */
+    'record': function(droplet, options) {
+        var now = moment().format();
+        this._save(droplet.id, {
+            'id': droplet.id,
+            'name': droplet.name || options.name,
+            'ip_address': droplet.ip_address,
+            'status': 'creating',
+            'options': options,
+            'completed_folders': [],
+            'completed_scripts': [],
+            'error': null,
+            'created_at': now,
+            'updated_at': now
+        });
+    },
+
+    /**
+     * Updates a recorded droplet. Droplets that weren't created by Motorboat are ignored.
+     *
+     * @public
+     */
+    'update': function(id, attrs) {
+        var entry = this._read().droplets[String(id)];
+        if (!entry) {
+            return;
+        }
+        this._save(id, _.extend(entry, attrs, {
+            'updated_at': moment().format()
+        }));
+    },
+
+    /**
+     * @public
+     */
+    'completeFolder': function(id, source, dest) {
+        var entry = this._read().droplets[String(id)];
+        if (!entry) {
+            return;
+        }
+        this.update(id, {
+            'completed_folders': _.union(entry.completed_folders, [StateJournal.folderKey(source, dest)])
+        });
+    },
+
+    /**
+     * @public
+     */
+    'completeScript': function(id, script) {
+        var entry = this._read().droplets[String(id)];
+        if (!entry) {
+            return;
+        }
+        this.update(id, {
+            'completed_scripts': _.union(entry.completed_scripts, [script])
+        });
+    },
+
+    /**
+     * Forgets a droplet, e.g. once it has been destroyed.
+     *
+     * @public
+     */
+    'remove': function(id) {
+        if (!this._read().droplets[String(id)]) {
+            return;
+        }
+        this._save(id, null);
+    }
+
+});
+
+/**
+ * Returns the key identifying a folder copy, as stored in `completed_folders`.
+ *
+ * @static
+ */
+StateJournal.folderKey = function(source, dest) {
+    if (dest.slice(-1) !== '/') {
+        dest = dest + '/';
+    }
+    return source + ':' + dest;
+};
+
+module.exports = StateJournal;
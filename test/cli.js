@@ -0,0 +1,76 @@
+var _ = require('underscore'),
+    assert = require('assert'),
+    childProcess = require('child_process'),
+    fs = require('fs'),
+    path = require('path'),
+    helpers = require('./helpers');
+
+/**
+ * Runs the `motorboat` command with the fake provider's config, from a temporary folder, and calls back
+ * with `(code, stdout, stderr, dir)`. Every droplet is gone once the command exits, as the fake provider
+ * keeps them in memory.
+ */
+var motorboat = function(args, cb) {
+    var dir = helpers.tmpDir();
+    childProcess.execFile(process.execPath, [
+        path.join(__dirname, '..', 'bin', 'motorboat'),
+        '--config', path.join(helpers.FIXTURES, 'motorboat.json')
+    ].concat(args), {
+        'cwd': dir,
+        'timeout': 20000
+    }, function(err, stdout, stderr) {
+        cb(err ? err.code : 0, stdout, stderr, dir);
+    });
+};
+
+module.exports = {
+
+    'up provisions every droplet in a manifest and writes a report': function(done) {
+        motorboat(['up', path.join(helpers.FIXTURES, 'stack.yml'), '--concurrency', '2', '--report', 'report.json'], function(code, stdout, stderr, dir) {
+            var report;
+            assert.equal(code, 0, stderr);
+            assert.deepEqual(_.map(stdout.trim().split('\n'), function(line) {
+                return line.split(' ')[1];
+            }).sort(), ['db1', 'web1', 'web2']);
+            report = JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8'));
+            assert.equal(report.status, 'complete');
+            assert.equal(report.droplets.length, 3);
+            done();
+        });
+    },
+
+    'plan lists the droplets a manifest would create': function(done) {
+        motorboat(['plan', path.join(helpers.FIXTURES, 'stack.yml')], function(code, stdout, stderr) {
+            assert.equal(code, 0, stderr);
+            _.each(['web1', 'web2', 'db1'], function(name) {
+                assert(stdout.indexOf(name) >= 0, stdout);
+            });
+            done();
+        });
+    },
+
+    'list-droplets prints a table of droplets': function(done) {
+        motorboat(['list-droplets'], function(code, stdout, stderr) {
+            assert.equal(code, 0, stderr);
+            assert(/ID.*Name.*Created At/.test(stdout), stdout);
+            done();
+        });
+    },
+
+    'down does nothing when no droplets match': function(done) {
+        motorboat(['down', path.join(helpers.FIXTURES, 'stack.yml')], function(code, stdout, stderr) {
+            assert.equal(code, 0, stderr);
+            assert.equal(stdout.trim(), 'No droplets to destroy.');
+            done();
+        });
+    },
+
+    'fails with a validation error for an invalid manifest': function(done) {
+        motorboat(['up', path.join(helpers.FIXTURES, 'motorboat.json')], function(code, stdout, stderr) {
+            assert.equal(code, 1);
+            assert(/^Error \(VALIDATION_ERROR\)/.test(stderr), stderr);
+            done();
+        });
+    }
+
+};
@@ -0,0 +1,106 @@
+var _ = require('underscore'),
+    assert = require('assert'),
+    cloudInit = require('../lib/cloud-init'),
+    errors = require('../lib/errors'),
+    helpers = require('./helpers');
+
+module.exports = {
+
+    'writes each script into the user data and runs them in order': function() {
+        var user_data = cloudInit.userData([{
+                'name': 'base',
+                'contents': '#!/bin/bash\necho base\n'
+            }, {
+                'name': 'lib/app server',
+                'contents': '#!/bin/bash\necho app\n'
+            }], {
+                'PORT': 8080,
+                'NOT_SET': null
+            }),
+            lines = user_data.split('\n'),
+            written = _.map(_.filter(lines, function(line) {
+                return /base64 -d/.test(line);
+            }), function(line) {
+                return new Buffer(line.split(' ')[1], 'base64').toString();
+            }),
+            run = _.filter(lines, function(line) {
+                return /\/scripts\/\S+ > /.test(line);
+            });
+        assert.equal(lines[0], '#!/bin/bash');
+        assert(lines.indexOf('export PORT=\'8080\'') >= 0, user_data);
+        assert.deepEqual(written, ['#!/bin/bash\necho base\n', '#!/bin/bash\necho app\n']);
+        assert.equal(run.length, 2);
+        assert(/\/scripts\/01-base > /.test(run[0]), run[0]);
+        assert(/\/scripts\/02-app_server > /.test(run[1]), run[1]);
+        assert.equal(_.last(_.compact(lines)), 'echo done > /var/lib/motorboat/status');
+    },
+
+    'reads results from where the user data writes them': function() {
+        var user_data = cloudInit.userData([{
+                'name': 'base',
+                'contents': ''
+            }], {}),
+            command = cloudInit.resultCommand(0, 'base');
+        assert(user_data.indexOf('/var/lib/motorboat/results/01-base.log') >= 0);
+        assert.equal(command, 'if [ -f /var/lib/motorboat/results/01-base.exit ]; then cat /var/lib/motorboat/results/01-base.exit /var/lib/motorboat/results/01-base.log; fi');
+    },
+
+    'provisions through user data and reports the first script that failed': function(done) {
+        var results = {
+                '01-base': '0\nbase ok\n',
+                '02-node': '3\nnode broke\n'
+            },
+            motorboat = helpers.provisioner({
+                'poll_interval': 0.01,
+                'transport': {
+                    'exec': function(target, cmd, options, cb) {
+                        var script = (/results\/([\w-]+)\.exit/.exec(cmd) || [])[1],
+                            stdout = script ? results[script] || '' : 'failed\n';
+                        setImmediate(function() {
+                            cb(null, {
+                                'code': 0,
+                                'stdout': stdout,
+                                'stderr': ''
+                            });
+                        });
+                    }
+                }
+            }),
+            finished = [];
+        motorboat.bind('script:finished', function(payload) {
+            finished.push(payload.script);
+        });
+        motorboat.provision({
+            'name': 'web1',
+            'scripts': ['app'],
+            'bootstrap': 'cloud-init'
+        }, function(err) {
+            var droplet = _.findWhere(_.values(motorboat.provider.droplets), {
+                'name': 'web1'
+            });
+            assert(err instanceof errors.ScriptError, err);
+            assert.equal(err.script, 'node');
+            assert.equal(err.exit_code, 3);
+            assert.deepEqual(finished, ['base']);
+            assert(/\/scripts\/03-app > /.test(droplet.user_data), droplet.user_data);
+            done();
+        });
+    },
+
+    'renders runtime variables as references to the environment': function() {
+        assert.equal(cloudInit.runtimeVars().public_ip, '${MOTORBOAT_PUBLIC_IP}');
+    },
+
+    'parses a script\'s exit code and output': function() {
+        assert.deepEqual(cloudInit.parseResult('0\nline 1\nline 2\n'), {
+            'code': 0,
+            'output': 'line 1\nline 2\n'
+        });
+        assert.deepEqual(cloudInit.parseResult('2'), {
+            'code': 2,
+            'output': ''
+        });
+        assert.strictEqual(cloudInit.parseResult(''), null);
+    }
+
+};
@@ -0,0 +1,105 @@
+var assert = require('assert'),
+    fs = require('fs'),
+    path = require('path'),
+    config = require('../lib/config'),
+    errors = require('../lib/errors'),
+    helpers = require('./helpers');
+
+/**
+ * Writes `settings` as JSON to `name` in a new temporary folder and returns its path.
+ */
+var writeConfig = function(name, settings) {
+    var file = path.join(helpers.tmpDir(), name);
+    fs.writeFileSync(file, JSON.stringify(settings));
+    return file;
+};
+
+module.exports = {
+
+    'layers overrides, environment, project and user settings': function() {
+        var settings = config.load({
+            'file': writeConfig('motorboat.json', {
+                'api_key': 'project',
+                'concurrency': 2,
+                'scripts_path': 'scripts',
+                'retry': {
+                    'api': {
+                        'retries': 1,
+                        'timeout': 30
+                    }
+                }
+            }),
+            'user_file': writeConfig('.motorboat.json', {
+                'api_key': 'user',
+                'client_id': 'user',
+                'transport': 'ssh2'
+            }),
+            'env': {
+                'MOTORBOAT_CONCURRENCY': '4',
+                'MOTORBOAT_CLIENT_ID': '0123',
+                'MOTORBOAT_RETRY__API__RETRIES': '6'
+            },
+            'overrides': {
+                'transport': 'shell',
+                'api_key': undefined
+            }
+        });
+        assert.equal(settings.transport, 'shell');
+        assert.equal(settings.api_key, 'project');
+        assert.strictEqual(settings.concurrency, 4);
+        assert.strictEqual(settings.client_id, '0123');
+        assert.deepEqual(settings.retry, {
+            'api': {
+                'retries': 6,
+                'timeout': 30
+            }
+        });
+        assert(path.isAbsolute(settings.scripts_path));
+    },
+
+    'prefers the selected profile to the rest of its file': function() {
+        var file = writeConfig('motorboat.json', {
+                'api_key': 'default',
+                'profile': 'staging',
+                'profiles': {
+                    'staging': {
+                        'api_key': 'staging'
+                    },
+                    'production': {
+                        'api_key': 'production'
+                    }
+                }
+            }),
+            load = function(options) {
+                options.file = file;
+                options.user_file = null;
+                return config.load(options);
+            };
+        assert.equal(load({
+            'env': {}
+        }).api_key, 'staging');
+        assert.equal(load({
+            'env': {
+                'MOTORBOAT_PROFILE': 'production'
+            }
+        }).api_key, 'production');
+        assert.throws(function() {
+            load({
+                'profile': 'qa',
+                'env': {}
+            });
+        }, errors.ValidationError);
+    },
+
+    'fails for a config file that is not valid JSON': function() {
+        var file = path.join(helpers.tmpDir(), 'motorboat.json');
+        fs.writeFileSync(file, '{');
+        assert.throws(function() {
+            config.load({
+                'file': file,
+                'env': {}
+            });
+        }, /Unable to parse config/);
+    }
+
+};
@@ -0,0 +1,104 @@
+var _ = require('underscore'),
+    assert = require('assert'),
+    net = require('net'),
+    errors = require('../lib/errors'),
+    DigitalOceanV2Client = require('../lib/digital-ocean-v2-client');
+
+module.exports = {
+
+    'follows the next links of a paged list': function(done) {
+        var client = new DigitalOceanV2Client('token'),
+            paths = [];
+        client._request = function(method, path, body, cb) {
+            paths.push(path);
+            setImmediate(function() {
+                cb(null, paths.length === 1 ? {
+                    'droplets': [{
+                        'id': 1
+                    }],
+                    'links': {
+                        'pages': {
+                            'next': 'https://api.digitalocean.com/v2/droplets?page=2&per_page=200'
+                        }
+                    }
+                } : {
+                    'droplets': [{
+                        'id': 2
+                    }]
+                });
+            });
+        };
+        client.dropletGetAll(function(err, droplets) {
+            assert.ifError(err);
+            assert.deepEqual(_.pluck(droplets, 'id'), [1, 2]);
+            assert.deepEqual(paths, ['droplets?per_page=200', 'https://api.digitalocean.com/v2/droplets?page=2&per_page=200']);
+            done();
+        });
+    },
+
+    'calls back with the ID of a new droplet\'s create action': function(done) {
+        var client = new DigitalOceanV2Client('token');
+        client._request = function(method, path, body, cb) {
+            assert.equal(method, 'POST');
+            assert.equal(body.name, 'web1');
+            setImmediate(function() {
+                cb(null, {
+                    'droplet': {
+                        'id': 1,
+                        'name': 'web1'
+                    },
+                    'links': {
+                        'actions': [{
+                            'id': 36,
+                            'rel': 'create'
+                        }]
+                    }
+                });
+            });
+        };
+        client.dropletCreate({
+            'name': 'web1'
+        }, function(err, droplet) {
+            assert.ifError(err);
+            assert.equal(droplet.name, 'web1');
+            assert.equal(droplet.action_id, 36);
+            done();
+        });
+    },
+
+    'times out a request whose connection goes quiet': function(done) {
+        var sockets = [],
+            server = net.createServer(function(socket) {
+                sockets.push(socket);
+            });
+        server.listen(0, '127.0.0.1', function() {
+            new DigitalOceanV2Client('token', {
+                'endpoint': 'https://127.0.0.1:' + server.address().port + '/',
+                'timeout': 0.05
+            }).dropletGet(1, function(err) {
+                _.invoke(sockets, 'destroy');
+                server.close();
+                assert(err instanceof errors.TimeoutError, err);
+                assert.equal(err.timeout, 0.05);
+                done();
+            });
+        });
+    },
+
+    'calls back with an ApiError when the request fails': function(done) {
+        var server = net.createServer(function(socket) {
+            socket.destroy();
+        });
+        server.listen(0, '127.0.0.1', function() {
+            new DigitalOceanV2Client('token', {
+                'endpoint': 'https://127.0.0.1:' + server.address().port + '/'
+            }).dropletGet(1, function(err) {
+                server.close();
+                assert(err instanceof errors.ApiError, err);
+                assert(/DigitalOcean API request failed/.test(err.message), err.message);
+                done();
+            });
+        });
+    }
+
+};
@@ -0,0 +1,155 @@
+var _ = require('underscore'),
+    assert = require('assert'),
+    path = require('path'),
+    dns = require('../lib/dns'),
+    helpers = require('./helpers');
+
+/**
+ * An API client that keeps the records of each domain in memory, as API v2 returns them.
+ */
+var api = function(records) {
+    var next_id = 100;
+    records = records || {};
+    var respond = function(cb, result) {
+        setImmediate(function() {
+            cb(null, result);
+        });
+    };
+    return {
+        'records': records,
+        'domainRecordGetAll': function(domain, cb) {
+            respond(cb, _.map(records[domain] || [], _.clone));
+        },
+        'domainRecordNew': function(domain, type, data, options, cb) {
+            var record = {
+                'id': next_id++,
+                'name': options.name,
+                'type': type,
+                'data': data
+            };
+            records[domain] = (records[domain] || []).concat(record);
+            respond(cb, record);
+        },
+        'domainRecordEdit': function(domain, id, type, data, options, cb) {
+            var record = _.findWhere(records[domain], {
+                'id': id
+            });
+            record.data = data;
+            respond(cb, record);
+        },
+        'domainRecordDestroy': function(domain, id, cb) {
+            records[domain] = _.reject(records[domain], function(record) {
+                return record.id === id;
+            });
+            respond(cb);
+        }
+    };
+};
+
+module.exports = {
+
+    'derives public, IPv6 and private records from a droplet': function() {
+        var records = dns.recordsFor({
+            'ip_address': '192.0.2.1',
+            'ipv6_address': '2001:db8::1',
+            'private_ip_address': '10.0.0.2'
+        }, dns.normalize('example.com', 'web1'));
+        assert.deepEqual(_.map(records, function(record) {
+            return [record.domain, record.name, record.type, record.data].join(' ');
+        }), ['example.com web1 A 192.0.2.1', 'example.com web1 AAAA 2001:db8::1', 'example.com web1.private A 10.0.0.2']);
+        assert.deepEqual(dns.recordsFor({
+            'ip_address': '192.0.2.1',
+            'private_ip_address': '10.0.0.2'
+        }, dns.normalize({
+            'domain': 'example.com',
+            'name': 'www',
+            'private_name': false
+        }, 'web1')).length, 1);
+    },
+
+    'validates the dns option': function() {
+        assert.deepEqual(dns.validate('example.com'), []);
+        assert.deepEqual(dns.validate({
+            'domain': 'example.com',
+            'private_name': false
+        }), []);
+        assert.equal(dns.validate('').length, 1);
+        assert.equal(dns.validate(['example.com']).length, 1);
+        assert.equal(dns.validate({
+            'name': 3
+        }).length, 2);
+    },
+
+    'creates missing records and updates existing ones': function(done) {
+        var client = api({
+            'example.com': [{
+                'id': 1,
+                'name': 'web1',
+                'type': 'A',
+                'data': '198.51.100.1'
+            }, {
+                'id': 2,
+                'name': 'web1.private',
+                'type': 'A',
+                'data': '10.0.0.2'
+            }]
+        });
+        dns.upsert(client, dns.recordsFor({
+            'ip_address': '192.0.2.1',
+            'private_ip_address': '10.0.0.2',
+            'ipv6_address': '2001:db8::1'
+        }, dns.normalize('example.com', 'web1')), function(err, records) {
+            assert.ifError(err);
+            assert.deepEqual(_.pluck(records, 'id'), [1, 100, 2]);
+            assert.deepEqual(_.pluck(client.records['example.com'], 'data'), ['192.0.2.1', '10.0.0.2', '2001:db8::1']);
+            done();
+        });
+    },
+
+    'removes only the records that still point at the droplet': function(done) {
+        var client = api();
+        dns.upsert(client, dns.recordsFor({
+            'ip_address': '192.0.2.1',
+            'private_ip_address': '10.0.0.2'
+        }, dns.normalize('example.com', 'web1')), function(err, records) {
+            assert.ifError(err);
+            // A replacement droplet has since taken over the public record
+            client.records['example.com'][0].data = '192.0.2.9';
+            dns.remove(client, records, function(err, removed) {
+                assert.ifError(err);
+                assert.deepEqual(_.pluck(removed, 'name'), ['web1.private']);
+                assert.deepEqual(_.pluck(client.records['example.com'], 'data'), ['192.0.2.9']);
+                done();
+            });
+        });
+    },
+
+    'points records at a provisioned droplet and removes them when it is destroyed': function(done) {
+        var motorboat = helpers.provisioner({
+                'state_file': path.join(helpers.tmpDir(), 'state.json')
+            }),
+            client = api();
+        motorboat.api = client;
+        motorboat.provision({
+            'name': 'web1',
+            'dns': {
+                'domain': 'example.com',
+                'private_name': false
+            }
+        }, function(err, droplets) {
+            assert.ifError(err);
+            assert.deepEqual(client.records['example.com'], [{
+                'id': 100,
+                'name': 'web1',
+                'type': 'A',
+                'data': droplets[0].ip_address
+            }]);
+            motorboat.destroyDroplet(droplets[0].id, function(err) {
+                assert.ifError(err);
+                assert.deepEqual(client.records['example.com'], []);
+                done();
+            });
+        });
+    }
+
+};
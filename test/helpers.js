@@ -0,0 +1,104 @@
+var _ = require('underscore'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    shell = require('shelljs'),
+    Motorboat = require('../index');
+
+/**
+ * Folder holding the scripts, config and manifest used by the tests.
+ */
+var FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Temporary folders created by `tmpDir()`, removed by `cleanUp()`.
+ */
+var tmp_dirs = [];
+
+/**
+ * Returns a transport that records what it's asked to do instead of connecting to anything. Scripts
+ * named in `failing` exit with code 1 (see `lib/shell-transport.js` for the transport interface).
+ *
+ * @param {Array} [failing] - Names of scripts that fail.
+ * @returns {Object} The transport, whose `scripts` lists the scripts run, in order.
+ */
+var transport = function(failing) {
+    var ran = [];
+    return {
+        'failing': failing || [],
+        'scripts': ran,
+        'upload': function(target, local_path, remote_path, cb) {
+            setImmediate(cb);
+        },
+        'copyFolder': function(target, source, dest, options, cb) {
+            setImmediate(cb);
+        },
+        'exec': function(target, cmd, options, cb) {
+            var script = (/\/tmp\/([\w.-]+)_\d+$/.exec(cmd) || [])[1],
+                code = 0;
+            if (script) {
+                ran.push(script);
+                code = this.failing.indexOf(script) >= 0 ? 1 : 0;
+            }
+            setImmediate(function() {
+                cb(null, {
+                    'code': code,
+                    'stdout': '',
+                    'stderr': code ? script + ' failed' : ''
+                });
+            });
+        }
+    };
+};
+
+/**
+ * Creates a provisioner that uses the fake provider and a recording transport (see `transport()`).
+ *
+ * @param {Object} [options] - Provisioner options, which take precedence over the defaults here.
+ * @returns {DigitalOceanProvisioner}
+ */
+var provisioner = function(options) {
+    return new Motorboat(_.defaults({}, options, {
+        'provider': 'fake',
+        'fake_provider': {
+            'boot_time': 10
+        },
+        'transport': transport(),
+        'scripts_path': path.join(FIXTURES, 'scripts'),
+        'public_ssh_key': 'unused.pub',
+        'private_ssh_key': 'unused',
+        'state_file': false,
+        'log_dir': false,
+        'known_hosts': false
+    }));
+};
+
+/**
+ * Creates an empty temporary folder.
+ *
+ * @returns {String}
+ */
+var tmpDir = function() {
+    var dir = path.join(os.tmpdir(), 'motorboat-test-' + process.pid + '-' + Math.random().toString(36).slice(2));
+    fs.mkdirSync(dir);
+    tmp_dirs.push(dir);
+    return dir;
+};
+
+/**
+ * Removes the temporary folders created by `tmpDir()`.
+ */
+var cleanUp = function() {
+    _.each(tmp_dirs, function(dir) {
+        shell.rm('-rf', dir);
+    });
+    tmp_dirs = [];
+};
+
+module.exports = {
+    'FIXTURES': FIXTURES,
+    'transport': transport,
+    'provisioner': provisioner,
+    'tmpDir': tmpDir,
+    'cleanUp': cleanUp
+};
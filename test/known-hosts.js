@@ -0,0 +1,127 @@
+var _ = require('underscore'),
+    assert = require('assert'),
+    crypto = require('crypto'),
+    fs = require('fs'),
+    path = require('path'),
+    KnownHosts = require('../lib/known-hosts'),
+    helpers = require('./helpers');
+
+/**
+ * Base64-encoded stand-ins for host keys.
+ */
+var KEY_A = new Buffer('key a').toString('base64'),
+    KEY_B = new Buffer('key b').toString('base64');
+
+/**
+ * Returns a hashed host name, as `ssh-keygen -H` writes it.
+ */
+var hashed = function(name) {
+    var salt = crypto.randomBytes(20);
+    return '|1|' + salt.toString('base64') + '|' + crypto.createHmac('sha1', salt).update(name).digest('base64');
+};
+
+module.exports = {
+
+    'records, replaces and removes a droplet\'s keys': function() {
+        var file = path.join(helpers.tmpDir(), 'nested', 'known_hosts'),
+            known_hosts = new KnownHosts(file);
+        assert.equal(known_hosts.set('192.0.2.1', 22, [{
+            'type': 'ssh-ed25519',
+            'key': KEY_A
+        }], 1), 0);
+        assert.equal(fs.readFileSync(file, 'utf8'), '192.0.2.1 ssh-ed25519 ' + KEY_A + ' motorboat-droplet-1\n');
+        assert(known_hosts.has('192.0.2.1', 22, 1));
+        // The address is reused by another droplet
+        assert.equal(known_hosts.set('192.0.2.1', 22, [{
+            'type': 'ssh-ed25519',
+            'key': KEY_B
+        }], 2), 1);
+        assert(!known_hosts.has('192.0.2.1', 22, 1));
+        assert(known_hosts.has('192.0.2.1', null, 2));
+        assert.equal(known_hosts.removeDroplet(2), 1);
+        assert.deepEqual(known_hosts.get('192.0.2.1'), []);
+    },
+
+    'names hosts on other ports the way OpenSSH does': function() {
+        var known_hosts = new KnownHosts(path.join(helpers.tmpDir(), 'known_hosts'));
+        known_hosts.set('192.0.2.1', 2222, [{
+            'type': 'ssh-rsa',
+            'key': KEY_A
+        }], 1);
+        assert.equal(KnownHosts.hostName('192.0.2.1', 2222), '[192.0.2.1]:2222');
+        assert.equal(known_hosts.get('192.0.2.1', 2222).length, 1);
+        assert.equal(known_hosts.get('192.0.2.1', 22).length, 0);
+    },
+
+    'looks keys up in read-only files, including hashed names': function() {
+        var dir = helpers.tmpDir(),
+            user_file = path.join(dir, 'user_known_hosts'),
+            known_hosts = new KnownHosts(path.join(dir, 'known_hosts'), [user_file]);
+        fs.writeFileSync(user_file, [
+            '# comment',
+            '@revoked 192.0.2.3 ssh-rsa ' + KEY_B,
+            hashed('192.0.2.2') + ' ssh-rsa ' + KEY_A,
+            'example.com,192.0.2.3 ssh-rsa ' + KEY_B
+        ].join('\n'));
+        assert.equal(known_hosts.get('192.0.2.2')[0].key, KEY_A);
+        assert.equal(known_hosts.get('192.0.2.3')[0].key, KEY_B);
+        assert.deepEqual(known_hosts.get('192.0.2.4'), []);
+        assert(!fs.existsSync(path.join(dir, 'known_hosts')));
+    },
+
+    'verifies a presented key against its digest': function() {
+        var known_hosts = new KnownHosts(path.join(helpers.tmpDir(), 'known_hosts'));
+        known_hosts.set('192.0.2.1', 22, [{
+            'type': 'ssh-rsa',
+            'key': KEY_A
+        }], 1);
+        assert(known_hosts.verify('192.0.2.1', 22, crypto.createHash('sha1').update('key a').digest('hex')));
+        assert(known_hosts.verify('192.0.2.1', 22, crypto.createHash('md5').update('key a').digest('hex'), 'md5'));
+        assert(!known_hosts.verify('192.0.2.1', 22, crypto.createHash('sha1').update('key b').digest('hex')));
+    },
+
+    'scans a droplet\'s keys when the provider has none, and forgets them when it is destroyed': function(done) {
+        var file = path.join(helpers.tmpDir(), 'known_hosts'),
+            scanned = 0,
+            motorboat = helpers.provisioner({
+                'known_hosts': file,
+                'transport': _.extend(helpers.transport(), {
+                    'scanHostKeys': function(target, cb) {
+                        scanned++;
+                        setImmediate(function() {
+                            cb(null, [{
+                                'type': 'ssh-ed25519',
+                                'key': KEY_A
+                            }]);
+                        });
+                    }
+                })
+            }),
+            removed = [];
+        motorboat.bind('host_key:removed', function(payload) {
+            removed.push(payload.droplet_id);
+        });
+        motorboat.provider.failNext('hostKeys');
+        motorboat.provision({
+            'name': 'web1',
+            'scripts': ['base']
+        }, function(err, droplets) {
+            var droplet = droplets[0];
+            assert.ifError(err);
+            assert.equal(scanned, 1);
+            assert(new KnownHosts(file).has(droplet.ip_address, 22, droplet.id));
+            assert.equal(new KnownHosts(file).get(droplet.ip_address)[0].key, KEY_A);
+            motorboat.destroyDroplet(droplet.id, function(err) {
+                assert.ifError(err);
+                assert.deepEqual(removed, [droplet.id]);
+                assert.deepEqual(new KnownHosts(file).get(droplet.ip_address), []);
+                done();
+            });
+        });
+    },
+
+    'fingerprints keys like ssh-keygen -l': function() {
+        assert.equal(KnownHosts.fingerprint(KEY_A), 'SHA256:' + crypto.createHash('sha256').update('key a').digest('base64').replace(/=+$/, ''));
+    }
+
+};
@@ -0,0 +1,186 @@
+var _ = require('underscore'),
+    assert = require('assert'),
+    fs = require('fs'),
+    path = require('path'),
+    errors = require('../lib/errors'),
+    manifest = require('../lib/manifest'),
+    helpers = require('./helpers');
+
+/**
+ * The manifest describing web1, web2 and db1.
+ */
+var STACK = path.join(helpers.FIXTURES, 'stack.yml');
+
+/**
+ * Creates a provisioner with a state journal, provisions the stack manifest and, outside of it, another
+ * droplet named web1, then calls back with the provisioner.
+ */
+var provisionStack = function(cb) {
+    var motorboat = helpers.provisioner({
+        'state_file': path.join(helpers.tmpDir(), 'state.json')
+    });
+    motorboat.provisionManifest(STACK, function(err) {
+        assert.ifError(err);
+        motorboat.provision({
+            'name': 'web1'
+        }, function(err) {
+            assert.ifError(err);
+            cb(motorboat);
+        });
+    });
+};
+
+module.exports = {
+
+    'applies defaults and resolves folders relative to the manifest': function(done) {
+        var file = path.join(helpers.tmpDir(), 'stack.json');
+        fs.writeFileSync(file, JSON.stringify({
+            'defaults': {
+                'size': '66',
+                'image': '3101045',
+                'region': '4',
+                'vars': {
+                    'port': 80,
+                    'env': 'staging'
+                }
+            },
+            'droplets': [{
+                'name': 'web1',
+                'region': '5',
+                'vars': {
+                    'port': 8080
+                },
+                'folders': [{
+                    'source': './app',
+                    'destination': '/opt/app'
+                }]
+            }]
+        }));
+        manifest.load(file, function(err, droplets) {
+            assert.ifError(err);
+            assert.deepEqual(droplets, [{
+                'name': 'web1',
+                'size': '66',
+                'image': '3101045',
+                'region': '5',
+                'vars': {
+                    'port': 8080,
+                    'env': 'staging'
+                },
+                'folders': [{
+                    'source': path.join(path.dirname(file), 'app'),
+                    'destination': '/opt/app'
+                }]
+            }]);
+            done();
+        });
+    },
+
+    'rejects unknown keys and duplicate names': function() {
+        var invalid = manifest.validate({
+            'droplets': [{
+                'name': 'web1',
+                'size': '66',
+                'image': '3101045',
+                'region': '4',
+                'colour': 'blue'
+            }, {
+                'name': 'web1',
+                'size': '66',
+                'image': '3101045',
+                'region': '4'
+            }]
+        });
+        assert.deepEqual(invalid, [
+            'droplets[0] (web1): unknown option `colour`',
+            'droplets[1] (web1): duplicate droplet name `web1`'
+        ]);
+    },
+
+    'destroys only the droplets created from the manifest': function(done) {
+        provisionStack(function(motorboat) {
+            motorboat.findManifestDroplets(STACK, function(err, targets) {
+                assert.ifError(err);
+                assert.deepEqual(_.pluck(targets, 'name').sort(), ['db1', 'web1', 'web2']);
+                motorboat.destroyManifest(STACK, function(err, destroyed) {
+                    assert.ifError(err);
+                    assert.deepEqual(_.pluck(destroyed, 'id').sort(), _.pluck(targets, 'id').sort());
+                    motorboat.provider.list(function(err, left) {
+                        assert.ifError(err);
+                        assert.deepEqual(_.pluck(left, 'name'), ['web1']);
+                        assert(_.pluck(targets, 'id').indexOf(left[0].id) < 0);
+                        done();
+                    });
+                });
+            });
+        });
+    },
+
+    'destroys only the given ids': function(done) {
+        provisionStack(function(motorboat) {
+            motorboat.findManifestDroplets(STACK, function(err, targets) {
+                assert.ifError(err);
+                var db1 = _.findWhere(targets, {
+                    'name': 'db1'
+                });
+                motorboat.destroyManifest(STACK, {
+                    'ids': [db1.id]
+                }, function(err, destroyed) {
+                    assert.ifError(err);
+                    assert.deepEqual(_.pluck(destroyed, 'name'), ['db1']);
+                    motorboat.provider.list(function(err, left) {
+                        assert.ifError(err);
+                        assert.equal(left.length, 3);
+                        done();
+                    });
+                });
+            });
+        });
+    },
+
+    'accepts the on_failure policies the provisioner accepts': function() {
+        var droplets = _.map(manifest.FAILURE_POLICIES.concat('explode'), function(policy, i) {
+                return {
+                    'name': 'web' + i,
+                    'on_failure': policy
+                };
+            }),
+            invalid = manifest.validate({
+                'defaults': {
+                    'size': '66',
+                    'image': '3101045',
+                    'region': '4'
+                },
+                'droplets': droplets
+            });
+        assert.equal(invalid.length, 1, invalid);
+        assert(/`on_failure` must be one of: keep, destroy, snapshot-then-destroy$/.test(invalid[0]), invalid[0]);
+    },
+
+    'accepts the bootstrap modes the provisioner accepts': function() {
+        var droplets = _.map(manifest.BOOTSTRAP_MODES.concat('telepathy'), function(mode, i) {
+                return {
+                    'name': 'web' + i,
+                    'bootstrap': mode
+                };
+            }),
+            invalid = manifest.validate({
+                'defaults': {
+                    'size': '66',
+                    'image': '3101045',
+                    'region': '4'
+                },
+                'droplets': droplets
+            });
+        assert.equal(invalid.length, 1, invalid);
+        assert(/`bootstrap` must be one of: ssh, cloud-init$/.test(invalid[0]), invalid[0]);
+    },
+
+    'needs the state journal to find the droplets of a manifest': function(done) {
+        helpers.provisioner().findManifestDroplets(STACK, function(err) {
+            assert(err instanceof errors.ValidationError);
+            done();
+        });
+    }
+
+};
@@ -0,0 +1,97 @@
+var _ = require('underscore'),
+    assert = require('assert'),
+    plan = require('../lib/plan');
+
+/**
+ * Droplets as a provider lists them.
+ */
+var EXISTING = [{
+    'id': 1,
+    'name': 'web1',
+    'size_id': 66,
+    'image_id': 3101045,
+    'region_id': 4
+}, {
+    'id': 2,
+    'name': 'web2',
+    'size_id': 66,
+    'image_id': 3101045,
+    'region_id': 4
+}, {
+    'id': 3,
+    'name': 'web2',
+    'size_id': 66,
+    'image_id': 3101045,
+    'region_id': 4
+}, {
+    'id': 4,
+    'name': 'old',
+    'size_id': 66,
+    'image_id': 3101045,
+    'region_id': 4
+}];
+
+/**
+ * Desired droplets: web1 unchanged (with its IDs as strings), web2 on a new image and a new db1.
+ */
+var DESIRED = [{
+    'name': 'web1',
+    'size': '66',
+    'image': '3101045',
+    'region': '4'
+}, {
+    'name': 'web2',
+    'size': 66,
+    'image': 3101046,
+    'region': 4
+}, {
+    'name': 'db1',
+    'size': 66,
+    'image': 3101045,
+    'region': 4
+}];
+
+module.exports = {
+
+    'creates, keeps, replaces and destroys droplets by name': function() {
+        var result = plan.compute(DESIRED, EXISTING);
+        assert.deepEqual(_.pluck(_.pluck(result.create, 'options'), 'name'), ['db1']);
+        assert.deepEqual(_.pluck(_.pluck(result.keep, 'droplet'), 'id'), [1]);
+        assert.deepEqual(_.pluck(_.pluck(result.replace, 'droplet'), 'id'), [2]);
+        assert.deepEqual(result.replace[0].changes, [{
+            'attribute': 'image',
+            'from': 3101045,
+            'to': 3101046
+        }]);
+        assert.deepEqual(result.destroy, [{
+            'droplet': EXISTING[2],
+            'reason': 'duplicate'
+        }]);
+        assert(plan.hasChanges(result));
+    },
+
+    'destroys droplets outside the desired set only when pruning': function() {
+        var result = plan.compute(DESIRED, EXISTING, {
+            'prune': true
+        });
+        assert.deepEqual(_.pluck(_.pluck(result.destroy, 'droplet'), 'id'), [3, 4]);
+        assert.equal(_.last(result.destroy).reason, 'not in desired set');
+    },
+
+    'has no changes when every droplet matches': function() {
+        var result = plan.compute(DESIRED.slice(0, 1), EXISTING.slice(0, 1));
+        assert(!plan.hasChanges(result));
+        assert.equal(plan.format(result), '= keep    web1 (#1)\nPlan: 0 to create, 0 to replace, 0 to destroy, 1 unchanged.');
+    },
+
+    'formats a plan as a diff': function() {
+        assert.deepEqual(plan.format(plan.compute(DESIRED, EXISTING)).split('\n'), [
+            '+ create  db1 (size 66, image 3101045, region 4)',
+            '~ replace web2 (#2): image 3101045 => 3101046',
+            '- destroy web2 (#3): duplicate',
+            '= keep    web1 (#1)',
+            'Plan: 1 to create, 1 to replace, 1 to destroy, 1 unchanged.'
+        ]);
+    }
+
+};
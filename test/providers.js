@@ -0,0 +1,202 @@
+var _ = require('underscore'),
+    assert = require('assert'),
+    errors = require('../lib/errors'),
+    DigitalOceanProvider = require('../lib/digital-ocean-provider'),
+    DigitalOceanV2Provider = require('../lib/digital-ocean-v2-provider');
+
+/**
+ * Options as the provisioner passes them to providers, polling every 10ms.
+ */
+var options = function(extra) {
+    return _.extend({
+        'client_id': 'id',
+        'api_key': 'key',
+        'token': 'token',
+        'poll_interval': 0.01,
+        'timeouts': {
+            'power_off': 5,
+            'snapshot': 5
+        }
+    }, extra);
+};
+
+/**
+ * Replaces a provider's API commands with `commands`, which call back straight away.
+ */
+var stub = function(provider, commands) {
+    _.each(commands, function(result, command) {
+        provider.api[command] = function() {
+            var cb = _.last(arguments);
+            setImmediate(function() {
+                cb(null, _.isFunction(result) ? result() : result);
+            });
+        };
+    });
+    return provider;
+};
+
+module.exports = {
+
+    'v1 powers a droplet off and waits for the event': function(done) {
+        var polls = 0,
+            provider = stub(new DigitalOceanProvider(options()), {
+                'dropletPowerOff': 9,
+                'eventGet': function() {
+                    polls++;
+                    return {
+                        'action_status': polls > 1 ? 'done' : null
+                    };
+                }
+            });
+        provider.powerOff(1, function(err) {
+            assert.ifError(err);
+            assert.equal(polls, 2);
+            done();
+        });
+    },
+
+    'v1 snapshots a droplet and returns the newest image with its name': function(done) {
+        var provider = stub(new DigitalOceanProvider(options()), {
+            'dropletSnapshot': 9,
+            'eventGet': {
+                'action_status': 'done'
+            },
+            'imageGetMine': [{
+                'id': 1,
+                'name': 'web'
+            }, {
+                'id': 2,
+                'name': 'other'
+            }, {
+                'id': 3,
+                'name': 'web'
+            }]
+        });
+        provider.snapshot(1, 'web', function(err, image) {
+            assert.ifError(err);
+            assert.equal(image.id, 3);
+            done();
+        });
+    },
+
+    'v2 creates a droplet with tags and user data and normalizes it': function(done) {
+        var provider = new DigitalOceanV2Provider(options()),
+            attrs;
+        provider.api.dropletCreate = function(sent, cb) {
+            attrs = sent;
+            setImmediate(function() {
+                cb(null, {
+                    'id': 1,
+                    'name': 'web1',
+                    'size_slug': '512mb',
+                    'image': {
+                        'id': 3101045
+                    },
+                    'region': {
+                        'slug': 'nyc2'
+                    },
+                    'features': ['backups', 'ipv6'],
+                    'networks': {
+                        'v4': [{
+                            'type': 'private',
+                            'ip_address': '10.0.0.2'
+                        }, {
+                            'type': 'public',
+                            'ip_address': '192.0.2.1'
+                        }],
+                        'v6': [{
+                            'type': 'public',
+                            'ip_address': '2001:db8::1'
+                        }]
+                    },
+                    'status': 'new',
+                    'action_id': 36
+                });
+            });
+        };
+        provider.create({
+            'name': 'web1',
+            'size': '512mb',
+            'image': 3101045,
+            'region': 'nyc2',
+            'ssh_key_ids': [12, ['ab:cd']],
+            'ipv6': true,
+            'tags': ['web'],
+            'user_data': '#cloud-config'
+        }, function(err, droplet) {
+            assert.ifError(err);
+            assert.deepEqual(attrs, {
+                'name': 'web1',
+                'size': '512mb',
+                'image': 3101045,
+                'region': 'nyc2',
+                'ssh_keys': [12, 'ab:cd'],
+                'private_networking': false,
+                'ipv6': true,
+                'tags': ['web'],
+                'user_data': '#cloud-config'
+            });
+            assert.equal(droplet.size_id, '512mb');
+            assert.equal(droplet.region_id, 'nyc2');
+            assert.equal(droplet.backups_active, true);
+            assert.equal(droplet.ip_address, '192.0.2.1');
+            assert.equal(droplet.private_ip_address, '10.0.0.2');
+            assert.equal(droplet.ipv6_address, '2001:db8::1');
+            assert.deepEqual(droplet.tags, []);
+            assert.equal(droplet.action_id, 36);
+            done();
+        });
+    },
+
+    'v2 powers a droplet off and waits for the action': function(done) {
+        var provider = stub(new DigitalOceanV2Provider(options()), {
+            'dropletPowerOff': 9,
+            'actionGet': {
+                'status': 'completed'
+            }
+        });
+        provider.powerOff(1, function(err) {
+            assert.ifError(err);
+            done();
+        });
+    },
+
+    'v2 snapshots a droplet and returns the newest image with its name': function(done) {
+        var provider = stub(new DigitalOceanV2Provider(options()), {
+            'dropletSnapshot': 9,
+            'actionGet': {
+                'status': 'completed'
+            },
+            'imageGetMine': [{
+                'id': 1,
+                'name': 'web'
+            }, {
+                'id': 3,
+                'name': 'web'
+            }]
+        });
+        provider.snapshot(1, 'web', function(err, image) {
+            assert.ifError(err);
+            assert.equal(image.id, 3);
+            done();
+        });
+    },
+
+    'v2 gives up on a snapshot after timeouts.snapshot': function(done) {
+        var provider = stub(new DigitalOceanV2Provider(options({
+            'timeouts': {
+                'snapshot': 0
+            }
+        })), {
+            'dropletSnapshot': 9,
+            'actionGet': {
+                'status': 'in-progress'
+            }
+        });
+        provider.snapshot(1, 'web', function(err) {
+            assert(err instanceof errors.TimeoutError);
+            done();
+        });
+    }
+
+};
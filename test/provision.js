@@ -0,0 +1,93 @@
+var _ = require('underscore'),
+    assert = require('assert'),
+    errors = require('../lib/errors'),
+    helpers = require('./helpers');
+
+module.exports = {
+
+    'provisions a droplet and runs its scripts after their dependencies': function(done) {
+        var motorboat = helpers.provisioner(),
+            events = [];
+        motorboat.bind('provision:complete', function(payload) {
+            events.push(payload.name);
+        });
+        motorboat.provision({
+            'name': 'web1',
+            'size': '66',
+            'image': '3101045',
+            'region': '4',
+            'scripts': ['app']
+        }, function(err, droplets) {
+            assert.ifError(err);
+            assert.equal(droplets[0].name, 'web1');
+            assert.equal(droplets[0].status, 'active');
+            assert.deepEqual(motorboat.transport.scripts, ['base', 'node', 'app']);
+            assert.deepEqual(events, ['web1']);
+            done();
+        });
+    },
+
+    'provisions several droplets and reports the run': function(done) {
+        var motorboat = helpers.provisioner();
+        motorboat.provision([{
+            'name': 'web1',
+            'scripts': ['base']
+        }, {
+            'name': 'web2',
+            'scripts': ['base']
+        }], {
+            'concurrency': 1
+        }, function(err, droplets) {
+            assert.ifError(err);
+            assert.deepEqual(_.pluck(droplets, 'name'), ['web1', 'web2']);
+            assert.equal(droplets.report.status, 'complete');
+            assert.deepEqual(droplets.report.failures, []);
+            done();
+        });
+    },
+
+    'lists droplets without printing them': function(done) {
+        var motorboat = helpers.provisioner(),
+            log = console.log,
+            printed = [];
+        motorboat.provision({
+            'name': 'web1'
+        }, function(err) {
+            assert.ifError(err);
+            console.log = function() {
+                printed.push(arguments);
+            };
+            motorboat.listDroplets(function(err, droplets) {
+                console.log = log;
+                assert.ifError(err);
+                assert.deepEqual(_.pluck(droplets, 'name'), ['web1']);
+                assert.equal(droplets[0].status, 'active');
+                assert.equal(printed.length, 0);
+                done();
+            });
+        });
+    },
+
+    'destroys every droplet when all_or_nothing is set and one fails': function(done) {
+        var motorboat = helpers.provisioner({
+            'transport': helpers.transport(['node'])
+        });
+        motorboat.provision([{
+            'name': 'web1',
+            'scripts': ['base']
+        }, {
+            'name': 'web2',
+            'scripts': ['node']
+        }], {
+            'all_or_nothing': true
+        }, function(err) {
+            assert(err instanceof errors.MotorboatError);
+            motorboat.provider.list(function(err, droplets) {
+                assert.ifError(err);
+                assert.deepEqual(droplets, []);
+                done();
+            });
+        });
+    }
+
+};
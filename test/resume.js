@@ -0,0 +1,101 @@
+var assert = require('assert'),
+    fs = require('fs'),
+    path = require('path'),
+    errors = require('../lib/errors'),
+    StateJournal = require('../lib/state-journal'),
+    helpers = require('./helpers');
+
+module.exports = {
+
+    'resumes a failed run without repeating the scripts that completed': function(done) {
+        var state_file = path.join(helpers.tmpDir(), 'state.json'),
+            transport = helpers.transport(['node']),
+            motorboat = helpers.provisioner({
+                'state_file': state_file,
+                'transport': transport
+            });
+        motorboat.provision({
+            'name': 'web1',
+            'scripts': ['app']
+        }, function(err) {
+            assert(err instanceof errors.ScriptError);
+            assert.deepEqual(transport.scripts, ['base', 'node']);
+            assert.equal(new StateJournal(state_file).find('web1').status, 'failed');
+            transport.failing = [];
+            motorboat.resume('web1', function(err, droplet) {
+                assert.ifError(err);
+                assert.equal(droplet.name, 'web1');
+                assert.deepEqual(transport.scripts, ['base', 'node', 'node', 'app']);
+                assert.equal(new StateJournal(state_file).find('web1').status, 'complete');
+                done();
+            });
+        });
+    },
+
+    'refuses to resume a droplet that is not in the journal': function(done) {
+        var motorboat = helpers.provisioner({
+            'state_file': path.join(helpers.tmpDir(), 'state.json')
+        });
+        motorboat.resume('web1', function(err) {
+            assert(err instanceof errors.NotFoundError);
+            done();
+        });
+    },
+
+    'keeps droplets recorded by another journal on the same file': function() {
+        var state_file = path.join(helpers.tmpDir(), 'state.json'),
+            first = new StateJournal(state_file),
+            second = new StateJournal(state_file);
+        first.record({
+            'id': 1,
+            'name': 'web1'
+        }, {});
+        second.record({
+            'id': 2,
+            'name': 'web2'
+        }, {});
+        first.completeScript(1, 'base');
+        assert.deepEqual(new StateJournal(state_file).find('web1').completed_scripts, ['base']);
+        assert.equal(new StateJournal(state_file).find('web2').name, 'web2');
+    },
+
+    'creates the folders of a nested state file': function(done) {
+        var state_file = path.join(helpers.tmpDir(), 'a', 'b', 'state.json'),
+            motorboat = helpers.provisioner({
+                'state_file': state_file
+            });
+        motorboat.provision({
+            'name': 'web1'
+        }, function(err) {
+            assert.ifError(err);
+            assert.equal(new StateJournal(state_file).find('web1').status, 'complete');
+            done();
+        });
+    },
+
+    'logs rather than throws when the state file cannot be written': function(done) {
+        var blocker = path.join(helpers.tmpDir(), 'file'),
+            logged = [],
+            motorboat;
+        fs.writeFileSync(blocker, '');
+        motorboat = helpers.provisioner({
+            'state_file': path.join(blocker, 'state.json'),
+            'logger': {
+                'log': function(level, message) {
+                    if (level === 'error') {
+                        logged.push(message);
+                    }
+                }
+            }
+        });
+        motorboat.provision({
+            'name': 'web1'
+        }, function(err, droplets) {
+            assert.ifError(err);
+            assert.equal(droplets[0].name, 'web1');
+            assert(logged.indexOf('Unable to update the state journal') >= 0, logged);
+            done();
+        });
+    }
+
+};
@@ -0,0 +1,125 @@
+var assert = require('assert'),
+    errors = require('../lib/errors'),
+    retry = require('../lib/retry');
+
+/**
+ * A policy that retries straight away.
+ */
+var policy = function(retries, timeout) {
+    return {
+        'retries': retries,
+        'min_delay': 0,
+        'max_delay': 0,
+        'factor': 1,
+        'jitter': false,
+        'timeout': timeout || 0
+    };
+};
+
+module.exports = {
+
+    'retries a failing attempt until it succeeds': function(done) {
+        var calls = 0,
+            retries = [];
+        retry.attempt(policy(3), function(cb) {
+            calls++;
+            cb(calls < 3 ? 'fail ' + calls : null, 'result');
+        }, function(err, retry_number) {
+            retries.push(retry_number);
+        }, function(err, result) {
+            assert.ifError(err);
+            assert.equal(result, 'result');
+            assert.deepEqual(retries, [1, 2]);
+            done();
+        });
+    },
+
+    'calls back with the last error once the retries run out': function(done) {
+        var calls = 0;
+        retry.attempt(policy(2), function(cb) {
+            calls++;
+            cb('fail ' + calls);
+        }, function(err) {
+            assert.equal(err, 'fail 3');
+            done();
+        });
+    },
+
+    'does not retry a HostKeyError': function(done) {
+        var calls = 0;
+        retry.attempt(policy(5), function(cb) {
+            calls++;
+            cb(new errors.HostKeyError('changed'));
+        }, function(err) {
+            assert(err instanceof errors.HostKeyError);
+            assert.equal(calls, 1);
+            done();
+        });
+    },
+
+    'aborts an attempt that times out and ignores its result': function(done) {
+        var aborted = 0;
+        retry.attempt(policy(1, 0.02), function(cb) {
+            setTimeout(function() {
+                cb(null, 'late');
+            }, 100);
+            return {
+                'abort': function() {
+                    aborted++;
+                }
+            };
+        }, function(err) {
+            assert(err instanceof errors.TimeoutError);
+            setTimeout(function() {
+                assert.equal(aborted, 2);
+                done();
+            }, 150);
+        });
+    },
+
+    'wraps only the read-only commands of an API client': function(done) {
+        var calls = {
+                'dropletGet': 0,
+                'dropletNew': 0
+            },
+            api = {
+                'dropletGet': function(id, cb) {
+                    calls.dropletGet++;
+                    cb('fail');
+                },
+                'dropletNew': function(cb) {
+                    calls.dropletNew++;
+                    setTimeout(cb, 50);
+                }
+            };
+        retry.wrapClient(api, policy(2, 0.01));
+        assert(api.dropletGet.with_retries);
+        assert(!api.dropletNew.with_retries);
+        api.dropletGet(1, function(err) {
+            assert.equal(err, 'fail');
+            assert.equal(calls.dropletGet, 3);
+            api.dropletNew(function(err) {
+                assert.ifError(err);
+                assert.equal(calls.dropletNew, 1);
+                done();
+            });
+        });
+    },
+
+    'validates the retry setting': function() {
+        assert.deepEqual(retry.validate({
+            'api': {
+                'retries': 2
+            }
+        }), []);
+        assert.equal(retry.validate({
+            'ftp': {}
+        }).length, 1);
+        assert.equal(retry.validate({
+            'api': {
+                'timeout': -1
+            }
+        }).length, 1);
+    }
+
+};
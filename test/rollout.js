@@ -0,0 +1,125 @@
+var _ = require('underscore'),
+    assert = require('assert'),
+    rollout = require('../lib/rollout'),
+    helpers = require('./helpers');
+
+/**
+ * Returns `count` tasks that finish on a later tick, failing if their index is in `failing`. `log`
+ * records when each task starts and finishes, and `running` the most that ran at once.
+ */
+var tasks = function(count, failing) {
+    var state = {
+        'log': [],
+        'running': 0,
+        'max_running': 0
+    };
+    state.tasks = _.map(_.range(count), function(idx) {
+        return function(cb) {
+            state.log.push('start ' + idx);
+            state.running++;
+            state.max_running = Math.max(state.max_running, state.running);
+            setTimeout(function() {
+                state.running--;
+                state.log.push('end ' + idx);
+                cb(_.contains(failing || [], idx) ? 'task ' + idx + ' failed' : null, idx);
+            }, 5);
+        };
+    });
+    return state;
+};
+
+module.exports = {
+
+    'limits how many tasks run at once': function(done) {
+        var state = tasks(5);
+        rollout.run(state.tasks, {
+            'concurrency': 2
+        }, function(err, outcomes) {
+            assert.ifError(err);
+            assert.equal(state.max_running, 2);
+            assert.deepEqual(rollout.summarize(outcomes), {
+                'error': null,
+                'results': [0, 1, 2, 3, 4],
+                'skipped': []
+            });
+            done();
+        });
+    },
+
+    'finishes each batch before starting the next': function(done) {
+        var state = tasks(4),
+            batches = [];
+        rollout.run(state.tasks, {
+            'batch_size': 2,
+            'on_batch': function(index, count, indexes) {
+                batches.push([index, count, indexes]);
+            }
+        }, function() {
+            assert.deepEqual(batches, [[0, 2, [0, 1]], [1, 2, [2, 3]]]);
+            assert(state.log.indexOf('end 1') < state.log.indexOf('start 2'), state.log);
+            done();
+        });
+    },
+
+    'stops a rolling run at the first failure': function(done) {
+        var state = tasks(3, [1]);
+        rollout.run(state.tasks, {
+            'rolling': true
+        }, function(err, outcomes) {
+            var summary = rollout.summarize(outcomes);
+            assert.ifError(err);
+            assert.equal(state.max_running, 1);
+            assert.equal(summary.error, 'task 1 failed');
+            assert.deepEqual(summary.skipped, [2]);
+            assert.deepEqual(state.log, ['start 0', 'end 0', 'start 1', 'end 1']);
+            done();
+        });
+    },
+
+    'runs every task regardless of failures by default': function(done) {
+        var state = tasks(3, [0]);
+        rollout.run(state.tasks, {}, function(err, outcomes) {
+            assert.deepEqual(rollout.summarize(outcomes).skipped, []);
+            assert.equal(state.max_running, 3);
+            done();
+        });
+    },
+
+    'provisions droplets one at a time and stops at the first failure when rolling': function(done) {
+        var motorboat = helpers.provisioner({
+            'transport': helpers.transport(['node'])
+        });
+        motorboat.provision([{
+            'name': 'web1',
+            'scripts': ['base']
+        }, {
+            'name': 'web2',
+            'scripts': ['node']
+        }, {
+            'name': 'web3',
+            'scripts': ['base']
+        }], {
+            'rolling': true
+        }, function(err) {
+            assert(err, 'expected web2 to fail');
+            motorboat.provider.list(function(err, droplets) {
+                assert.ifError(err);
+                assert.deepEqual(_.pluck(droplets, 'name').sort(), ['web1', 'web2']);
+                done();
+            });
+        });
+    },
+
+    'validates rollout options': function() {
+        assert.deepEqual(rollout.validate({
+            'concurrency': 2,
+            'pause': 0
+        }), []);
+        assert.equal(rollout.validate({
+            'batch_size': 0,
+            'max_failures': 1.5,
+            'pause': -1
+        }).length, 3);
+    }
+
+};
@@ -0,0 +1,71 @@
+var assert = require('assert'),
+    fs = require('fs'),
+    path = require('path'),
+    Motorboat = require('../index'),
+    helpers = require('./helpers');
+
+module.exports = {
+
+    'writes each run\'s report and droplet logs to log_dir': function(done) {
+        var log_dir = helpers.tmpDir(),
+            motorboat = helpers.provisioner({
+                'log_dir': log_dir
+            });
+        motorboat.provision([{
+            'name': 'web1',
+            'scripts': ['base']
+        }], {
+            'run_id': 'test-run'
+        }, function(err, droplets) {
+            var report;
+            assert.ifError(err);
+            report = JSON.parse(fs.readFileSync(path.join(log_dir, 'test-run', 'report.json'), 'utf8'));
+            assert.equal(report.run_id, 'test-run');
+            assert.equal(report.droplets[0].scripts[0].status, 'complete');
+            assert.deepEqual(droplets.report, report);
+            assert(fs.existsSync(path.join(log_dir, 'test-run', 'web1.log')));
+            assert(fs.existsSync(path.join(log_dir, 'motorboat.log')));
+            done();
+        });
+    },
+
+    'writes no files when enable_logging is false': function(done) {
+        var log_dir = helpers.tmpDir(),
+            motorboat = helpers.provisioner({
+                'log_dir': log_dir,
+                'enable_logging': false
+            });
+        motorboat.provision([{
+            'name': 'web1',
+            'scripts': ['base']
+        }], function(err, droplets) {
+            assert.ifError(err);
+            assert.equal(droplets.report.status, 'complete');
+            assert.equal(droplets.report.log_dir, null);
+            assert.deepEqual(fs.readdirSync(log_dir), []);
+            done();
+        });
+    },
+
+    'creates nothing in the working directory when constructed': function(done) {
+        var dir = helpers.tmpDir(),
+            cwd = process.cwd();
+        process.chdir(dir);
+        try {
+            new Motorboat({
+                'provider': 'fake',
+                'scripts_path': 'missing',
+                'public_ssh_key': 'unused.pub',
+                'private_ssh_key': 'unused'
+            });
+        } finally {
+            process.chdir(cwd);
+        }
+        // Scripts are listed in the background, so give that a chance to finish
+        setTimeout(function() {
+            assert.deepEqual(fs.readdirSync(dir), []);
+            done();
+        }, 50);
+    }
+
+};
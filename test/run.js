@@ -0,0 +1,63 @@
+var _ = require('underscore'),
+    async = require('async'),
+    helpers = require('./helpers');
+
+/**
+ * The test files, each exporting tests keyed by description. A test that takes an argument is passed a
+ * `done` callback; others are synchronous. Either may throw (e.g. through `assert`) to fail.
+ */
+var FILES = ['config', 'retry', 'slug-resolver', 'cloud-init', 'dns', 'rollout', 'known-hosts', 'plan', 'script-dependencies', 'transports', 'provision', 'manifest', 'resume', 'run-report', 'providers', 'digital-ocean-v2-client', 'cli'];
+
+/**
+ * Milliseconds a test may take before it's failed.
+ */
+var TIMEOUT = 30000;
+
+/**
+ * Runs a single test, calling back with its error, if any.
+ */
+var runTest = function(test, cb) {
+    var timer,
+        finish = _.once(function(err) {
+            clearTimeout(timer);
+            process.removeListener('uncaughtException', finish);
+            cb(err);
+        });
+    timer = setTimeout(function() {
+        finish(new Error('Timed out after ' + TIMEOUT + 'ms'));
+    }, TIMEOUT);
+    // Assertions that fail inside callbacks surface here
+    process.on('uncaughtException', finish);
+    try {
+        if (test.length) {
+            return test(function(err) {
+                finish(err);
+            });
+        }
+        test();
+        finish();
+    } catch (e) {
+        finish(e);
+    }
+};
+
+var failures = 0;
+async.eachSeries(FILES, function(file, next) {
+    var tests = require('./' + file);
+    async.eachSeries(_.keys(tests), function(description, next_test) {
+        runTest(tests[description], function(err) {
+            if (err) {
+                failures++;
+                console.log('not ok - ' + file + ': ' + description);
+                console.log(err.stack || err);
+            } else {
+                console.log('ok - ' + file + ': ' + description);
+            }
+            setImmediate(next_test);
+        });
+    }, next);
+}, function() {
+    helpers.cleanUp();
+    console.log(failures ? failures + ' test(s) failed' : 'All tests passed');
+    process.exit(failures ? 1 : 0);
+});
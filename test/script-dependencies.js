@@ -0,0 +1,66 @@
+var assert = require('assert'),
+    errors = require('../lib/errors'),
+    scriptDependencies = require('../lib/script-dependencies');
+
+/**
+ * Returns a `read` function for `resolve()` that serves scripts from `scripts`, failing with `ENOENT`
+ * for any others.
+ */
+var reader = function(scripts) {
+    return function(script, cb) {
+        setImmediate(function() {
+            var err;
+            if (!scripts.hasOwnProperty(script)) {
+                err = new Error('ENOENT, no such file: ' + script);
+                err.code = 'ENOENT';
+                return cb(err);
+            }
+            cb(null, scripts[script]);
+        });
+    };
+};
+
+module.exports = {
+
+    'reads requirements from the leading comment block only': function() {
+        assert.deepEqual(scriptDependencies.parseRequires([
+            '#!/bin/bash',
+            '',
+            '# Requires: node, nginx',
+            '## requires: git node',
+            'echo hi',
+            '# requires: late'
+        ].join('\n')), ['node', 'nginx', 'git']);
+        assert.deepEqual(scriptDependencies.parseRequires('echo hi\n'), []);
+    },
+
+    'orders scripts after what they require, once each': function(done) {
+        scriptDependencies.resolve(['app', 'node'], reader({
+            'base': '#!/bin/bash\n',
+            'node': '# requires: base\n',
+            'app': '# requires: node, base\n'
+        }), function(err, ordered) {
+            assert.ifError(err);
+            assert.deepEqual(ordered, ['base', 'node', 'app']);
+            done();
+        });
+    },
+
+    'reports missing and circular requirements': function(done) {
+        var read = reader({
+            'app': '# requires: node\n',
+            'node': '# requires: app\n',
+            'web': '# requires: nginx\n'
+        });
+        scriptDependencies.resolve(['web'], read, function(err) {
+            assert(err instanceof errors.NotFoundError);
+            assert.equal(err.message, 'Missing script `nginx` (required by `web`)');
+            scriptDependencies.resolve(['app'], read, function(err) {
+                assert(err instanceof errors.ValidationError);
+                assert.equal(err.message, 'Circular script dependency: app -> node -> app');
+                done();
+            });
+        });
+    }
+
+};
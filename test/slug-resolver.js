@@ -0,0 +1,105 @@
+var _ = require('underscore'),
+    assert = require('assert'),
+    errors = require('../lib/errors'),
+    SlugResolver = require('../lib/slug-resolver');
+
+/**
+ * An API client listing a few regions, sizes and images, which counts how often each list is fetched.
+ */
+var api = function() {
+    var calls = {},
+        command = function(name, choices) {
+            calls[name] = 0;
+            return function(cb) {
+                calls[name]++;
+                setImmediate(function() {
+                    cb(null, choices);
+                });
+            };
+        };
+    return {
+        'calls': calls,
+        'regionGetAll': command('regionGetAll', [{
+            'id': 4,
+            'slug': 'nyc2',
+            'name': 'New York 2'
+        }, {
+            'id': 5,
+            'slug': 'ams2',
+            'name': 'Amsterdam 2'
+        }]),
+        'sizeGetAll': command('sizeGetAll', [{
+            'slug': '512mb'
+        }]),
+        'imageGetAll': command('imageGetAll', [{
+            'id': 10,
+            'name': 'App'
+        }, {
+            'id': 11,
+            'name': 'app'
+        }])
+    };
+};
+
+module.exports = {
+
+    'resolves slugs and names to IDs, fetching each list once': function(done) {
+        var client = api(),
+            resolver = new SlugResolver(client);
+        resolver.resolveOptions({
+            'name': 'web1',
+            'region': 'New York 2',
+            'size': '512MB',
+            'image': 3101045
+        }, function(err, options) {
+            assert.ifError(err);
+            assert.deepEqual(options, {
+                'name': 'web1',
+                'region': 4,
+                'size': '512mb',
+                'image': 3101045
+            });
+            resolver.resolve('region', 'ams2', function(err, id) {
+                assert.ifError(err);
+                assert.equal(id, 5);
+                assert.deepEqual(client.calls, {
+                    'regionGetAll': 1,
+                    'sizeGetAll': 1,
+                    'imageGetAll': 0
+                });
+                done();
+            });
+        });
+    },
+
+    'shares one API call between concurrent lookups': function(done) {
+        var client = api(),
+            resolver = new SlugResolver(client),
+            ids = [];
+        _.each(['nyc2', 'ams2'], function(slug) {
+            resolver.resolve('region', slug, function(err, id) {
+                assert.ifError(err);
+                ids.push(id);
+                if (ids.length === 2) {
+                    assert.deepEqual(ids.sort(), [4, 5]);
+                    assert.equal(client.calls.regionGetAll, 1);
+                    done();
+                }
+            });
+        });
+    },
+
+    'fails for unknown and ambiguous names': function(done) {
+        var resolver = new SlugResolver(api());
+        resolver.resolve('region', 'lon1', function(err) {
+            assert(err instanceof errors.ValidationError);
+            assert(/Unknown region `lon1`, expected one of: nyc2, ams2/.test(err.message), err.message);
+            resolver.resolve('image', 'APP', function(err) {
+                assert(err instanceof errors.ValidationError);
+                assert(/Ambiguous image `APP`, matches IDs: 10, 11/.test(err.message), err.message);
+                done();
+            });
+        });
+    }
+
+};